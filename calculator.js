@@ -0,0 +1,92 @@
+import { onTick } from './clock.js';
+import { MsPerDay, getSunTimes } from './solar.js';
+import { getInspectedLocation } from './inspect.js';
+import { getSetting, setSetting, onSettingsReset } from './settings.js';
+import { getDisplayTimeZone } from './timezone.js';
+import { formatDate, formatTime, formatDuration } from './format.js';
+
+/* ========================================================================== */
+/*                          Sunrise & Sunset Calculator                       */
+/* ========================================================================== */
+// Sun times at any location for the simulated day
+
+const DefaultLocation = { latitude: 39.9, longitude: 116.4 }; // Beijing, in degrees
+const DegToRad = Math.PI / 180;
+
+const panel = document.getElementById('calculator');
+const latitudeInput = document.getElementById('calculator-latitude');
+const longitudeInput = document.getElementById('calculator-longitude');
+const fields = {};
+panel.querySelectorAll('[data-field]').forEach(element => fields[element.dataset.field] = element);
+
+let lastKey;
+
+function loadLocation() {
+    const { latitude, longitude } = getSetting('calculatorLocation', DefaultLocation);
+    latitudeInput.value = latitude;
+    longitudeInput.value = longitude;
+    lastKey = undefined;
+}
+
+function readLocation() {
+    const latitude = Number(latitudeInput.value), longitude = Number(longitudeInput.value);
+    if (latitudeInput.value === '' || longitudeInput.value === '') return null;
+    if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) return null;
+    return { latitude, longitude };
+}
+
+function formatEvent(time) {
+    return time ? formatTime(time) : '—';
+}
+
+function showSunTimes(times) {
+    fields.date.textContent = formatDate(times.solarNoon);
+    fields.solarNoon.textContent = formatTime(times.solarNoon);
+    const polarLabel = times.polar === 'day' ? '极昼' : '极夜';
+    fields.sunrise.textContent = times.sunrise ? formatTime(times.sunrise) : polarLabel;
+    fields.sunset.textContent = times.sunset ? formatTime(times.sunset) : polarLabel;
+    fields.dayLength.textContent = formatDuration(times.dayLength);
+    ['civil', 'nautical', 'astronomical'].forEach(name => {
+        fields[name + 'Dawn'].textContent = formatEvent(times.dawn[name]);
+        fields[name + 'Dusk'].textContent = formatEvent(times.dusk[name]);
+    });
+}
+
+function clearSunTimes() {
+    Object.values(fields).forEach(field => field.textContent = '—');
+}
+
+// Recompute only when the location, the simulated day or the display zone changes
+function updateCalculator(time) {
+    if (panel.open) {
+        const location = readLocation();
+        // Local mean solar day, the day getSunTimes() reports on
+        const day = location && Math.floor((time.getTime() + location.longitude / 360 * MsPerDay) / MsPerDay);
+        const key = location && [location.latitude, location.longitude, day, getDisplayTimeZone()].join(',');
+        if (key !== lastKey) {
+            if (location) {
+                showSunTimes(getSunTimes(time, location.latitude * DegToRad, location.longitude * DegToRad));
+            } else {
+                clearSunTimes();
+            }
+            lastKey = key;
+        }
+    }
+}
+
+[latitudeInput, longitudeInput].forEach(input => input.addEventListener('change', () => {
+    const location = readLocation();
+    if (location) setSetting('calculatorLocation', location);
+}));
+
+document.getElementById('calculator-pick').addEventListener('click', () => {
+    const location = getInspectedLocation();
+    if (!location) return;
+    latitudeInput.value = (location.latitude / DegToRad).toFixed(4);
+    longitudeInput.value = (location.longitude / DegToRad).toFixed(4);
+    setSetting('calculatorLocation', readLocation());
+});
+
+onSettingsReset(loadLocation);
+loadLocation();
+onTick(updateCalculator);
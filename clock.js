@@ -0,0 +1,118 @@
+/* ========================================================================== */
+/*                              Simulation Clock                              */
+/* ========================================================================== */
+// Single source of time for the scene and the HUD. The simulated time runs
+// at `rate` times the real clock from the last anchor, or stands still while
+// paused.
+
+// Simulated seconds per real second available for playback
+export const PlaybackSpeeds = [1, 60, 600, 3600, 86400, 7 * 86400, 30 * 86400];
+
+// Playback step in milliseconds, one hour
+export const TimeStep = 1000 * 60 * 60;
+
+let anchorRealTime = Date.now();
+let anchorSimTime = anchorRealTime;
+let rate = 1;
+let paused = false;
+
+const timeListeners = new Set();
+const playbackListeners = new Set();
+const tickListeners = new Set();
+
+export function getTime() {
+    const elapsed = paused ? 0 : (Date.now() - anchorRealTime) * rate;
+    return new Date(anchorSimTime + elapsed);
+}
+
+export function setTime(time) {
+    const ms = time instanceof Date ? time.getTime() : time;
+    if (!Number.isFinite(ms)) return;
+    anchorRealTime = Date.now();
+    anchorSimTime = ms;
+    notify(timeListeners, getTime());
+}
+
+// Go back to following the real clock
+export function resetTime() {
+    setPlayback(1, false);
+    setTime(Date.now());
+}
+
+export function stepTime(ms) {
+    setTime(getTime().getTime() + ms);
+}
+
+// Restart elapsed time from now so a playback change does not jump the time
+function reanchor() {
+    anchorSimTime = getTime().getTime();
+    anchorRealTime = Date.now();
+}
+
+// Whether the simulated time is the real time running at normal speed
+export function isRealTime() {
+    return rate === 1 && !paused && Math.abs(getTime().getTime() - Date.now()) < 1000;
+}
+
+export function getRate() {
+    return rate;
+}
+
+export function isPaused() {
+    return paused;
+}
+
+export function setPlayback(newRate, newPaused = paused) {
+    if (!Number.isFinite(newRate) || newRate === 0) return;
+    reanchor();
+    rate = newRate;
+    paused = newPaused;
+    notify(playbackListeners, { rate, paused });
+}
+
+export function togglePaused() {
+    setPlayback(rate, !paused);
+}
+
+export function reverse() {
+    setPlayback(-rate);
+}
+
+// Move to the next faster (step > 0) or slower (step < 0) preset, keeping direction
+export function changeSpeed(step) {
+    const speed = Math.abs(rate);
+    let index = PlaybackSpeeds.findIndex(preset => preset >= speed);
+    if (index < 0) index = PlaybackSpeeds.length - 1;
+    else if (PlaybackSpeeds[index] > speed && step > 0) index--; // Between presets
+    index = Math.max(Math.min(index + step, PlaybackSpeeds.length - 1), 0);
+    setPlayback(Math.sign(rate) * PlaybackSpeeds[index]);
+}
+
+// Listeners are called when the time jumps, not as it flows
+export function onTimeChange(listener) {
+    timeListeners.add(listener);
+    return () => timeListeners.delete(listener);
+}
+
+// Listeners are called when the rate or pause state changes
+export function onPlaybackChange(listener) {
+    playbackListeners.add(listener);
+    return () => playbackListeners.delete(listener);
+}
+
+// Listeners are called once per animation frame with the simulated time
+export function onTick(listener) {
+    tickListeners.add(listener);
+    if (tickListeners.size === 1) requestAnimationFrame(tick);
+    return () => tickListeners.delete(listener);
+}
+
+function tick() {
+    if (tickListeners.size === 0) return; // Restarted by the next subscriber
+    notify(tickListeners, getTime());
+    requestAnimationFrame(tick);
+}
+
+function notify(listeners, value) {
+    listeners.forEach(listener => listener(value));
+}
@@ -0,0 +1,76 @@
+import { MsPerDay, wrapRadians, getSunPosition } from './solar.js';
+import { getMoonPosition } from './moon.js';
+
+/* ========================================================================== */
+/*                                Yearly Events                               */
+/* ========================================================================== */
+// Equinoxes and solstices from the solar longitude, within minutes of the
+// published times. Perihelion and aphelion from the earth's own distance to
+// the sun, which the moon pulls back and forth by up to a day around the
+// smooth orbit, within a few hours since the solar theory is low precision.
+
+const PI = Math.PI;
+const MsPerHour = MsPerDay / 24;
+const TropicalYear = 365.2422; // Days
+const EarthRadius = 6378.14 / 149597870.7; // In AU
+const MoonMassFraction = 1 / 82.30057; // Moon mass over earth and moon mass
+const ApsisSearchDays = 5; // Either side of the mean date
+
+// Refine a guess until the angle (radians) reaches its target, stepping by its mean rate
+function findAngleTime(getAngle, target, guess, daysPerTurn) {
+    let ms = guess.getTime();
+    for (let i = 0; i < 20; i++) {
+        const error = wrapRadians(target - getAngle(new Date(ms)));
+        ms += error / (2 * PI) * daysPerTurn * MsPerDay;
+        if (Math.abs(error) < 1e-7) break;
+    }
+    return new Date(ms);
+}
+
+// Earth to sun distance in AU. The solar theory follows the earth-moon
+// barycenter, the earth sits off it towards the moon.
+function getEarthSunDistance(time) {
+    const sun = getSunPosition(time);
+    const moon = getMoonPosition(time);
+    const offset = MoonMassFraction * moon.distance * EarthRadius;
+    const x = sun.distance * Math.cos(sun.eclipticLongitude)
+        + offset * Math.cos(moon.eclipticLatitude) * Math.cos(moon.eclipticLongitude);
+    const y = sun.distance * Math.sin(sun.eclipticLongitude)
+        + offset * Math.cos(moon.eclipticLatitude) * Math.sin(moon.eclipticLongitude);
+    const z = offset * Math.sin(moon.eclipticLatitude);
+    return Math.hypot(x, y, z);
+}
+
+// Time of the least (sign 1) or greatest (sign -1) distance near a guess
+function findApsisTime(sign, guess) {
+    const distanceAt = ms => sign * getEarthSunDistance(new Date(ms));
+    // Hourly scan, the moon's pull leaves several local extremes a few days apart
+    let best = guess.getTime();
+    const last = best + ApsisSearchDays * MsPerDay;
+    for (let ms = best - ApsisSearchDays * MsPerDay; ms <= last; ms += MsPerHour) {
+        if (distanceAt(ms) < distanceAt(best)) best = ms;
+    }
+    // Ternary search down to a second
+    let low = best - MsPerHour, high = best + MsPerHour;
+    while (high - low > 1000) {
+        const a = low + (high - low) / 3, b = high - (high - low) / 3;
+        if (distanceAt(a) < distanceAt(b)) high = b;
+        else low = a;
+    }
+    return new Date((low + high) / 2);
+}
+
+// Equinoxes, solstices, perihelion and aphelion of a calendar year in time
+// order, the apsides marked approximate
+export function getYearEvents(year) {
+    const longitudeAt = time => getSunPosition(time).eclipticLongitude;
+    const guess = (month, day) => new Date(Date.UTC(year, month, day));
+    return [
+        { type: 'perihelion', time: findApsisTime(1, guess(0, 3)), approximate: true },
+        { type: 'march-equinox', time: findAngleTime(longitudeAt, 0, guess(2, 20), TropicalYear) },
+        { type: 'june-solstice', time: findAngleTime(longitudeAt, PI / 2, guess(5, 21), TropicalYear) },
+        { type: 'aphelion', time: findApsisTime(-1, guess(6, 4)), approximate: true },
+        { type: 'september-equinox', time: findAngleTime(longitudeAt, PI, guess(8, 22), TropicalYear) },
+        { type: 'december-solstice', time: findAngleTime(longitudeAt, -PI / 2, guess(11, 21), TropicalYear) },
+    ];
+}
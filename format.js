@@ -0,0 +1,87 @@
+import { toDisplayTime } from './timezone.js';
+
+/* ========================================================================== */
+/*                                 Formatting                                 */
+/* ========================================================================== */
+
+const RadToDeg = 180 / Math.PI;
+
+function pad(value, length = 2) {
+    return value.toString().padStart(length, '0');
+}
+
+// HH:MM:SS of a time shifted by a UTC offset in minutes
+export function formatClockTime(time, offsetMinutes = 0) {
+    const shifted = new Date(time.getTime() + offsetMinutes * 60 * 1000);
+    return pad(shifted.getUTCHours()) + ':' + pad(shifted.getUTCMinutes()) + ':' + pad(shifted.getUTCSeconds());
+}
+
+// HH:MM:SS of a fractional number of hours
+export function formatHours(hours) {
+    const seconds = Math.round(((hours % 24) + 24) % 24 * 3600) % 86400;
+    return pad(Math.floor(seconds / 3600)) + ':' + pad(Math.floor(seconds / 60) % 60) + ':' + pad(seconds % 60);
+}
+
+// UTC offset in minutes as "UTC+05:30"
+export function formatUTCOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const minutes = Math.abs(Math.round(offsetMinutes));
+    return 'UTC' + sign + pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+}
+
+export function formatLatitude(latitude, digits = 2) {
+    const degrees = latitude * RadToDeg;
+    return Math.abs(degrees).toFixed(digits) + '°' + (degrees < 0 ? 'S' : 'N');
+}
+
+export function formatLongitude(longitude, digits = 2) {
+    const degrees = longitude * RadToDeg;
+    return Math.abs(degrees).toFixed(digits) + '°' + (degrees < 0 ? 'W' : 'E');
+}
+
+export function formatAngle(angle, digits = 1) {
+    return (angle * RadToDeg).toFixed(digits) + '°';
+}
+
+// Degrees, minutes and seconds with hemisphere, e.g. 31°13'48"N
+function formatDMS(angle, positive, negative) {
+    const totalSeconds = Math.round(Math.abs(angle * RadToDeg) * 3600);
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    return degrees + '°' + pad(minutes) + "'" + pad(seconds) + '"' + (angle < 0 ? negative : positive);
+}
+
+export function formatLatitudeDMS(latitude) {
+    return formatDMS(latitude, 'N', 'S');
+}
+
+export function formatLongitudeDMS(longitude) {
+    return formatDMS(longitude, 'E', 'W');
+}
+
+// Whole hours and minutes of a duration in milliseconds, days and hours past a day
+export function formatDuration(ms) {
+    const minutes = Math.round(Math.abs(ms) / (60 * 1000));
+    const hours = Math.floor(minutes / 60);
+    if (hours > 24) return Math.floor(hours / 24) + ' 天 ' + (hours % 24) + ' 小时';
+    return (hours > 0 ? hours + ' 小时 ' : '') + (minutes % 60) + ' 分';
+}
+
+// YYYY-MM-DD and HH:MM:SS of a Date in the display time zone
+export function formatDate(time) {
+    const display = toDisplayTime(time);
+    return pad(display.getUTCFullYear(), 4) + '-' + pad(display.getUTCMonth() + 1) + '-' + pad(display.getUTCDate());
+}
+
+export function formatTime(time) {
+    return formatClockTime(toDisplayTime(time));
+}
+
+// Morning/afternoon and HH:MM:SS on a 12 hour clock
+export function formatTime12(time) {
+    const display = toDisplayTime(time);
+    const hours = display.getUTCHours();
+    return (hours < 12 ? '上午 ' : '下午 ') + pad((hours + 11) % 12 + 1)
+        + ':' + pad(display.getUTCMinutes()) + ':' + pad(display.getUTCSeconds());
+}
@@ -0,0 +1,28 @@
+import * as THREE from 'three';
+
+/* ========================================================================== */
+/*                           Geographic Coordinates                           */
+/* ========================================================================== */
+// Conversions between latitude/longitude in radians and points in the earth
+// mesh local frame, where the texture puts longitude 0 on +x and 90E on -z
+
+export function latLonToVector(latitude, longitude, radius = 1) {
+    return new THREE.Vector3(
+        radius * Math.cos(latitude) * Math.cos(longitude),
+        radius * Math.sin(latitude),
+        -radius * Math.cos(latitude) * Math.sin(longitude)
+    );
+}
+
+export function vectorToLatLon(vector) {
+    const direction = vector.clone().normalize();
+    return {
+        latitude: Math.asin(direction.y),
+        longitude: Math.atan2(-direction.z, direction.x),
+    };
+}
+
+// Nominal zone time offset in minutes from longitude alone, whole hours from UTC
+export function getNominalZoneOffset(longitude) {
+    return Math.round(longitude / Math.PI * 12) * 60;
+}
@@ -0,0 +1,162 @@
+import { getTime, setTime, resetTime, onTimeChange, onTick } from './clock.js';
+import { getSetting, setSetting, onSettingsReset } from './settings.js';
+import { getSubsolarPoint } from './solar.js';
+import { getYearEvents } from './events.js';
+import {
+    LocalTimeZone, getTimeZones, getDisplayTimeZone, setDisplayTimeZone, getDisplayOffset, fromDisplayTime,
+} from './timezone.js';
+import {
+    formatDate, formatTime, formatTime12, formatUTCOffset, formatLatitude, formatLongitude, formatDuration,
+} from './format.js';
+import { EventLabels } from './timeline.js';
+
+/* ========================================================================== */
+/*                                     HUD                                    */
+/* ========================================================================== */
+// Date, clock and time zone of the simulated time plus extra readouts,
+// refreshed only when the displayed second or the display options change
+
+const TimeFormats = {
+    '24h': '24 小时',
+    '12h': '12 小时',
+    'iso': 'ISO 8601',
+};
+
+const readoutContainer = document.getElementById('readouts');
+const readouts = [];
+
+let lastKey;
+
+function getTimeFormat() {
+    const format = getSetting('timeFormat', '24h');
+    return Object.hasOwn(TimeFormats, format) ? format : '24h';
+}
+
+// Write to the DOM only when the text changes
+function setText(element, text) {
+    if (element.textContent !== text) element.textContent = text;
+}
+
+function updateClock(now, format) {
+    const offset = getDisplayOffset(now);
+    const timeZone = getDisplayTimeZone();
+    const date = document.getElementById('date');
+    const clock = document.getElementById('clock');
+    const zone = document.getElementById('timezone');
+
+    if (format === 'iso') {
+        // The date and offset go with the clock
+        setText(date, '');
+        setText(clock, formatDate(now) + 'T' + formatTime(now) + formatUTCOffset(offset).slice(3));
+        setText(zone, timeZone === LocalTimeZone ? '' : timeZone);
+        return;
+    }
+    setText(date, formatDate(now));
+    setText(clock, format === '12h' ? formatTime12(now) : formatTime(now));
+    const offsetText = formatUTCOffset(offset); // Offset may change with daylight saving time
+    setText(zone, timeZone === LocalTimeZone || timeZone === 'UTC' ? offsetText : timeZone + ' ' + offsetText);
+}
+
+function updateHUD(now) {
+    const format = getTimeFormat();
+    const key = Math.floor(now.getTime() / 1000) + ' ' + format + ' ' + getDisplayTimeZone();
+    if (key === lastKey) return;
+    lastKey = key;
+
+    updateClock(now, format);
+    readouts.forEach(({ value, format }) => setText(value, format(now)));
+}
+
+// Add a readout line to the HUD; `format` maps the simulated time to its text
+export function addReadout(label, format) {
+    const element = document.createElement('span');
+    element.className = 'readout';
+    const value = document.createElement('span');
+    element.append(label + ' ', value);
+    readoutContainer.appendChild(element);
+    readouts.push({ value, format });
+    lastKey = undefined;
+}
+
+onTick(updateHUD);
+
+/* -------------------------------------------------------------------------- */
+
+const zoneSelect = document.getElementById('time-zone');
+const formatSelect = document.getElementById('time-format');
+
+function addOption(select, value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+}
+
+addOption(zoneSelect, LocalTimeZone, '本地时区');
+addOption(zoneSelect, 'UTC', 'UTC');
+getTimeZones().filter(timeZone => timeZone !== 'UTC').forEach(timeZone => addOption(zoneSelect, timeZone, timeZone));
+Object.entries(TimeFormats).forEach(([format, label]) => addOption(formatSelect, format, label));
+
+function updateTimeSelects() {
+    zoneSelect.value = getDisplayTimeZone();
+    formatSelect.value = getTimeFormat();
+}
+
+zoneSelect.addEventListener('change', () => {
+    setDisplayTimeZone(zoneSelect.value);
+    updateTimePicker(getTime());
+});
+formatSelect.addEventListener('change', () => setSetting('timeFormat', formatSelect.value));
+onSettingsReset(() => {
+    updateTimeSelects();
+    updateTimePicker(getTime()); // The display zone may have changed back
+});
+updateTimeSelects();
+
+/* -------------------------------------------------------------------------- */
+
+const timePicker = document.getElementById('time-picker');
+
+// Format a date as the 'YYYY-MM-DDTHH:mm:ss' a datetime-local input expects, in the display zone
+function toInputValue(time) {
+    return formatDate(time) + 'T' + formatTime(time);
+}
+
+function updateTimePicker(time) {
+    timePicker.value = toInputValue(time);
+}
+
+timePicker.addEventListener('change', () => {
+    const match = /^(\d+)-(\d+)-(\d+)T(\d+):(\d+)(?::(\d+))?/.exec(timePicker.value);
+    if (!match) return;
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(value => Number(value ?? 0));
+    setTime(fromDisplayTime(year, month - 1, day, hours, minutes, seconds)); // Read in the display zone
+});
+document.getElementById('time-now').addEventListener('click', resetTime);
+onTimeChange(updateTimePicker);
+updateTimePicker(getTime());
+
+/* -------------------------------------------------------------------------- */
+
+const RadToDeg = 180 / Math.PI;
+
+const yearEvents = new Map(); // Year to its events, computed once
+
+function getNextYearEvent(time) {
+    const year = time.getUTCFullYear();
+    for (const eventYear of [year, year + 1]) {
+        if (!yearEvents.has(eventYear)) yearEvents.set(eventYear, getYearEvents(eventYear));
+        const next = yearEvents.get(eventYear).find(event => event.time > time);
+        if (next) return next;
+    }
+}
+
+addReadout('太阳直射纬度', time => (getSubsolarPoint(time).latitude * RadToDeg).toFixed(2) + '°');
+addReadout('直射点', time => {
+    const { latitude, longitude } = getSubsolarPoint(time);
+    return formatLatitude(latitude) + ' ' + formatLongitude(longitude);
+});
+addReadout('下一事件', time => {
+    const event = getNextYearEvent(time);
+    return EventLabels[event.type] + ' ' + formatDuration(event.time - time) + '后';
+});
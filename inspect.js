@@ -0,0 +1,72 @@
+import { getTime, onTick } from './clock.js';
+import { getSunHorizontal, getApparentSolarTime, getDaylightPhase } from './solar.js';
+import { getNominalZoneOffset } from './geo.js';
+import { getLocationTimeZone, getTimeZoneOffset } from './timezone.js';
+import {
+    formatClockTime, formatHours, formatUTCOffset, formatLatitude, formatLongitude, formatAngle,
+} from './format.js';
+
+/* ========================================================================== */
+/*                               Inspect Panel                                */
+/* ========================================================================== */
+// Local solar data for a location picked on the globe, refreshed as time runs
+
+export const PhaseLabels = {
+    day: '白天',
+    civil: '民用晨昏',
+    nautical: '航海晨昏',
+    astronomical: '天文晨昏',
+    night: '夜晚',
+};
+
+const panel = document.getElementById('inspect');
+const fields = {};
+panel.querySelectorAll('[data-field]').forEach(element => fields[element.dataset.field] = element);
+
+let inspected = null; // Latitude, longitude and time zone of the open panel
+let lastSecond; // Of the last refresh, cleared for a new location
+let closeListener = () => { };
+
+function updateInspection(time) {
+    const second = Math.floor(time.getTime() / 1000);
+    if (!inspected || second === lastSecond) return;
+    lastSecond = second;
+    const { latitude, longitude, timeZone } = inspected;
+    const sun = getSunHorizontal(time, latitude, longitude);
+    // Civil time of the zone there, the meridian zone when the browser lacks it
+    const zoneOffset = timeZone ? getTimeZoneOffset(time, timeZone) : getNominalZoneOffset(longitude);
+    const zoneName = timeZone ? formatUTCOffset(zoneOffset) + ' ' + timeZone : formatUTCOffset(zoneOffset);
+
+    fields.coordinates.textContent = formatLatitude(latitude) + ' ' + formatLongitude(longitude);
+    fields.zoneTime.textContent = formatClockTime(time, zoneOffset) + ' (' + zoneName + ')';
+    fields.solarTime.textContent = formatHours(getApparentSolarTime(time, longitude));
+    fields.elevation.textContent = formatAngle(sun.elevation);
+    fields.azimuth.textContent = formatAngle(sun.azimuth);
+    fields.phase.textContent = PhaseLabels[getDaylightPhase(sun.elevation)];
+}
+
+// Show the panel for a latitude and longitude in radians
+export function inspectLocation(latitude, longitude) {
+    inspected = { latitude, longitude, timeZone: getLocationTimeZone(latitude, longitude) };
+    lastSecond = undefined;
+    panel.hidden = false;
+    updateInspection(getTime());
+}
+
+// Latitude and longitude in radians of the open panel, or null
+export function getInspectedLocation() {
+    return inspected && { latitude: inspected.latitude, longitude: inspected.longitude };
+}
+
+export function closeInspection() {
+    inspected = null;
+    panel.hidden = true;
+    closeListener();
+}
+
+export function onInspectionClose(listener) {
+    closeListener = listener;
+}
+
+panel.querySelector('.close').addEventListener('click', closeInspection);
+onTick(updateInspection);
@@ -1,65 +1,133 @@
 import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { getSunPosition, getSubsolarPoint } from './solar.js';
+import { getMoonPosition } from './moon.js';
+import { earthVertexShader, earthFragmentShader, TwilightBandCount } from './shaders.js';
+import { initTwilightControls } from './twilight.js';
+import { latLonToVector, vectorToLatLon } from './geo.js';
+import { inspectLocation, onInspectionClose } from './inspect.js';
+import { showTooltip, hideTooltip } from './tooltip.js';
+import { initPinMarkers, updatePins } from './pins.js';
+import {
+    GraticuleSpacings, DefaultGraticuleSpacing, createGraticuleGeometry, createParallelGeometry,
+} from './overlays.js';
+import {
+    mapScene, mapCamera, initMapView, updateMapView, setMapLocation, resizeMapView, pickMapLocation,
+    getMapProjection, setMapProjection, ViewModes,
+} from './mapview.js';
+import { MapProjections, DefaultMapProjection } from './projections.js';
+import { formatLatitude } from './format.js';
+import {
+    TimeStep, getTime, setTime, getRate, isPaused, isRealTime, setPlayback, togglePaused, reverse, stepTime,
+    changeSpeed,
+} from './clock.js';
+import { encodeViewState, decodeViewState } from './permalink.js';
+import { getSetting, setSetting, resetSettings } from './settings.js';
 
 /* ========================================================================== */
 /*                             Configs & Constants                            */
 /* ========================================================================== */
 const PI = Math.PI;
 const GMTOffset = -PI; // Distance between map left edge and 0 longitude in radian
-const RadPerMinute = 2 * PI / 1440; // Radian per minute
-const UpdateInterval = 60; // Time interval between rotation updates in seconds
 const MapDir = '2k_earth_daymap.jpg';
+const NightMapDir = 'earth_nightmap.jpg';
 
 const MarkerWidth = 0.003;
 const PoleRadius = 0.0015;
 const SunlightDistance = 5;
 const SunlightIntensity = 4;
+const AmbientIntensity = 0.3;
+const NightLightsIntensity = 1;
+const TerminatorWidth = 0.1; // Sine of the sun elevation over which night lights fade in
 const DefaultCameraDistance = 1.5;
-
-/* ========================================================================== */
-/*                                    Utils                                   */
-/* ========================================================================== */
-
-function getSunlightAngle(time) {
-    const startOfYear = new Date(time.getFullYear(), 0, 0);
-    const dayOfYear = Math.floor((time - startOfYear) / (1000 * 60 * 60 * 24));
-    return Math.asin(0.398 * Math.cos(2 * PI * (dayOfYear - 173) / 365.242));
-}
+const ClickTolerance = 5; // Pointer travel in pixels below which a drag counts as a click
+const LocationMarkerRadius = 0.01;
+const OverlayRadius = 1.002; // Lines drawn just above the surface
+const MinCameraDistance = 1;
+const MaxCameraDistance = 80; // Far enough to frame the moon at true distance
+const DefaultCameraFov = 45; // Vertical field of view of the perspective camera in degrees
+const MinCameraFov = 10;
+const MaxCameraFov = 75; // Keeps the camera off the surface at the closest zoom
+const CameraFovStep = 5;
+const ZoomStep = 1.1; // Camera distance factor per Z/C key press
+const WheelZoomSpeed = 0.001; // Camera distance growth per wheel pixel, exponential
+const WheelLineHeight = 40; // Pixels per wheel line for mice that scroll by lines
+const WheelSaveDelay = 300; // Quiet time in milliseconds that ends a wheel gesture
+const TiltStep = 0.01; // Radians per Q/E key press
+const MoonRadius = 0.2725; // In earth radii
+const CompressedMoonDistance = 3; // In earth radii
+const PermalinkInterval = 1000; // Minimum time between URL updates in milliseconds
 
 /* ========================================================================== */
 /*                                 Scene Setup                                */
 /* ========================================================================== */
+// Half the height of the view through the earth center, for either camera
 let cameraDistance = DefaultCameraDistance;
 
 const scene = new THREE.Scene();
 const aspect = window.innerWidth / window.innerHeight;
-const camera = new THREE.OrthographicCamera(
+const orthographicCamera = new THREE.OrthographicCamera(
     -cameraDistance * aspect, cameraDistance * aspect,
     cameraDistance, -cameraDistance,
-    0, 1000
+    -1000, 1000 // Keep objects behind the camera position, like the moon, in view
 );
-camera.position.z = cameraDistance;
+orthographicCamera.position.z = cameraDistance;
+const perspectiveCamera = new THREE.PerspectiveCamera(DefaultCameraFov, aspect, 0.01, 2000);
+let camera = orthographicCamera;
 const renderer = new THREE.WebGLRenderer();
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
+// Text labels attached to scene objects, drawn over the canvas
+const labelRenderer = new CSS2DRenderer();
+labelRenderer.setSize(window.innerWidth, window.innerHeight);
+labelRenderer.domElement.style.position = 'absolute';
+labelRenderer.domElement.style.top = '0';
+labelRenderer.domElement.style.pointerEvents = 'none';
+document.body.appendChild(labelRenderer.domElement);
+
 // Create ambient light
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+const ambientLight = new THREE.AmbientLight(0xffffff, AmbientIntensity);
 scene.add(ambientLight);
 
 // Create root object
 const root = new THREE.Object3D();
 scene.add(root);
 
-// Create the Earth
+// Create the Earth, shaded by its own day/night shader
+const earthMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+        dayMap: { value: new THREE.TextureLoader().load(MapDir) },
+        nightMap: { value: null },
+        showNightLights: { value: false },
+        sunDirection: { value: new THREE.Vector3(0, 0, 1) },
+        sunIntensity: { value: SunlightIntensity },
+        ambientIntensity: { value: AmbientIntensity },
+        nightIntensity: { value: NightLightsIntensity },
+        transitionWidth: { value: TerminatorWidth },
+        twilightColors: { value: Array.from({ length: TwilightBandCount }, () => new THREE.Color()) },
+        twilightOpacities: { value: new Array(TwilightBandCount).fill(0) },
+        twilightLimits: { value: new Array(TwilightBandCount + 1).fill(0) },
+    },
+    vertexShader: earthVertexShader,
+    fragmentShader: earthFragmentShader,
+});
+let nightLights = true;
+new THREE.TextureLoader().load(NightMapDir, texture => {
+    earthMaterial.uniforms.nightMap.value = texture;
+    updateNightLights();
+});
 const earth = new THREE.Mesh(
-    new THREE.SphereGeometry(1, 32, 32),
-    new THREE.MeshStandardMaterial(
-        { map: new THREE.TextureLoader().load(MapDir) }
-    )
+    new THREE.SphereGeometry(1, 64, 64),
+    earthMaterial
 );
 earth.position.set(0, 0, 0);
 root.add(earth);
 
+// Flat map of the same surface, drawn instead of or beside the globe
+initMapView(earthMaterial.uniforms);
+let viewMode = 'globe';
+
 // Create sunlight
 const directionalLight = new THREE.DirectionalLight(0xffffff, SunlightIntensity);
 directionalLight.position.set(0, 0, SunlightDistance);
@@ -87,6 +155,56 @@ midnightMarker.rotation.set(PI / 2, 0, -PI / 2);
 midnightMarker.visible = false;
 root.add(midnightMarker);
 
+// Terminator line, a great circle facing the sun
+const terminatorLine = new THREE.Mesh(
+    new THREE.CylinderGeometry(1 + 0.001, 1 + 0.001, MarkerWidth, 128, 1, true),
+    new THREE.MeshBasicMaterial({ color: 0xffff00 })
+);
+terminatorLine.position.set(0, 0, 0);
+terminatorLine.visible = false;
+root.add(terminatorLine);
+
+// Marker of the inspected location, turning with the earth
+const locationMarker = new THREE.Mesh(
+    new THREE.SphereGeometry(LocationMarkerRadius, 16, 8),
+    new THREE.MeshBasicMaterial({ color: 0xff00ff })
+);
+locationMarker.visible = false;
+earth.add(locationMarker);
+
+// Pinned locations
+initPinMarkers(earth);
+
+// Latitude/longitude graticule, turning with the map
+const graticule = new THREE.LineSegments(
+    createGraticuleGeometry(DefaultGraticuleSpacing, OverlayRadius),
+    new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.4 })
+);
+graticule.visible = false;
+earth.add(graticule);
+let graticuleSpacing = DefaultGraticuleSpacing;
+
+// Equator, tropics and polar circles, placed from the current obliquity in updateCircles()
+const circles = new THREE.Group();
+circles.visible = false;
+root.add(circles);
+const circleGeometry = createParallelGeometry(0, OverlayRadius);
+const circleLines = [
+    { name: '北极圈', color: 0x66ccff, latitude: obliquity => PI / 2 - obliquity },
+    { name: '北回归线', color: 0xffaa00, latitude: obliquity => obliquity },
+    { name: '赤道', color: 0xff6666, latitude: () => 0 },
+    { name: '南回归线', color: 0xffaa00, latitude: obliquity => -obliquity },
+    { name: '南极圈', color: 0x66ccff, latitude: obliquity => obliquity - PI / 2 },
+].map(circle => {
+    const line = new THREE.LineSegments(circleGeometry, new THREE.LineBasicMaterial({ color: circle.color }));
+    const element = document.createElement('div');
+    element.className = 'circle-label';
+    const label = new CSS2DObject(element);
+    label.center.set(0.5, 1); // Just above the line
+    circles.add(line, label);
+    return { ...circle, line, label };
+});
+
 // Earth pole
 const pole = new THREE.Mesh(
     new THREE.CylinderGeometry(PoleRadius, PoleRadius, 1.3 * 2, 16, 1, true),
@@ -96,11 +214,23 @@ pole.position.set(0, 0, 0);
 pole.visible = false;
 root.add(pole);
 
+// Moon, lit by the same sunlight so it shows its phase
+const moon = new THREE.Mesh(
+    new THREE.SphereGeometry(MoonRadius, 32, 16),
+    new THREE.MeshStandardMaterial({ color: 0xaaaaaa, roughness: 1 })
+);
+moon.visible = false;
+root.add(moon);
+let moonTrueScale = false;
+
 /* ========================================================================== */
 /*                            Control & Interaction                           */
 /* ========================================================================== */
 let isDragging = false;
 let dragStartX, dragStartY;
+let pressX, pressY; // Where the drag began, to tell clicks from drags
+let pinch = null; // Last two-finger gesture, null without one
+let hoverX = null, hoverY = null; // Pointer over the canvas, null when away
 let cameraTheta = PI / 2, cameraPhi = PI / 2;
 
 function moveSphericCamera(deltaX, deltaY) {
@@ -111,54 +241,179 @@ function moveSphericCamera(deltaX, deltaY) {
     // Limit camera angle to prevent it from going below the horizon
     cameraPhi = Math.max(Math.min(cameraPhi, PI), 0.001);
 
+    placeCamera();
+}
+
+// Put the camera on its orbit. The perspective camera stands back until its
+// view through the earth center is as high as the orthographic one, so
+// changing the field of view dollies it for a dolly zoom.
+function placeCamera() {
+    const radius = camera.isPerspectiveCamera
+        ? cameraDistance / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))
+        : cameraDistance;
+
     // Calculate new camera position based on new angle
-    const x = cameraDistance * Math.sin(cameraPhi) * Math.cos(cameraTheta);
-    const z = cameraDistance * Math.sin(cameraPhi) * Math.sin(cameraTheta);
-    const y = cameraDistance * Math.cos(cameraPhi);
+    const x = radius * Math.sin(cameraPhi) * Math.cos(cameraTheta);
+    const z = radius * Math.sin(cameraPhi) * Math.sin(cameraTheta);
+    const y = radius * Math.cos(cameraPhi);
 
     // Update camera position and fix on the sphere
     camera.position.set(x, y, z);
     camera.lookAt(earth.position);
+    camera.updateMatrixWorld(); // Picking right after a move, before the next render
 }
 
 function resetCamera() {
     cameraDistance = DefaultCameraDistance;
-    camera.position.set(0, 0, cameraDistance);
-    camera.lookAt(earth.position);
     cameraTheta = PI / 2;
     cameraPhi = PI / 2;
+    placeCamera();
+}
+
+// Switch between the orthographic and the perspective camera on the same orbit
+function setPerspective(enabled) {
+    camera = enabled ? perspectiveCamera : orthographicCamera;
+    placeCamera();
+}
+
+function setCameraFov(fov) {
+    perspectiveCamera.fov = Math.max(Math.min(fov, MaxCameraFov), MinCameraFov);
+    perspectiveCamera.updateProjectionMatrix();
+    placeCamera();
 }
 
-function tiltScene(deltaZ) {
+// Zoom by a distance factor, keeping the surface point under a point of the
+// window in place when given and on the globe
+function zoomCamera(factor, clientX, clientY) {
+    const before = clientX === undefined ? null : pickGlobePoint(clientX, clientY);
+    cameraDistance = Math.max(Math.min(cameraDistance * factor, MaxCameraDistance), MinCameraDistance);
+    updateCameraZoom();
+    const after = before && pickGlobePoint(clientX, clientY);
+    if (!after) return;
+    // Turn the orbit so the point that came under the pointer moves back to where it was
+    cameraTheta += Math.atan2(before.z, before.x) - Math.atan2(after.z, after.x);
+    cameraPhi += Math.acos(before.y / before.length()) - Math.acos(after.y / after.length());
+    moveSphericCamera(0, 0);
+}
+
+function tiltScene(angle) {
     let tilt = root.rotation.x;
-    tilt += deltaZ * 0.01;
+    tilt += angle;
     tilt = Math.max(Math.min(tilt, PI / 2), -PI / 2);
     root.rotation.x = tilt;
 }
 
+// Remember the zoom and tilt, once per key press or at the end of a gesture
+function saveCameraSettings() {
+    setSetting('cameraDistance', cameraDistance);
+    setSetting('tilt', root.rotation.x);
+}
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+// Normalized device coordinates of a point of the window within a view
+function toViewPointer(clientX, clientY, view) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const viewport = getViewports()[view];
+    return pointer.set(
+        (clientX - rect.left - viewport.x) / viewport.width * 2 - 1,
+        -(clientY - rect.top) / viewport.height * 2 + 1
+    );
+}
+
+// World position on the globe under a point of the window, or null
+function pickGlobePoint(clientX, clientY) {
+    if (getViewAt(clientX) !== 'globe') return null;
+    raycaster.setFromCamera(toViewPointer(clientX, clientY, 'globe'), camera);
+    const hit = raycaster.intersectObject(earth, false)[0];
+    return hit ? hit.point : null;
+}
+
+// Latitude and longitude in radians under a point of the window, or null off the earth
+function pickLocation(clientX, clientY) {
+    if (getViewAt(clientX) === 'map') {
+        const { x, y } = toViewPointer(clientX, clientY, 'map');
+        return pickMapLocation(x, y);
+    }
+    const point = pickGlobePoint(clientX, clientY);
+    return point ? vectorToLatLon(earth.worldToLocal(point)) : null;
+}
+
+function handleClick(clientX, clientY) {
+    const location = pickLocation(clientX, clientY);
+    if (!location) return;
+    locationMarker.position.copy(latLonToVector(location.latitude, location.longitude));
+    locationMarker.visible = true;
+    setMapLocation(location);
+    inspectLocation(location.latitude, location.longitude);
+}
+onInspectionClose(() => {
+    locationMarker.visible = false;
+    setMapLocation(null);
+});
+
 function handleMouseDown(event) {
     isDragging = true;
-    dragStartX = event.clientX;
-    dragStartY = event.clientY;
+    dragStartX = pressX = event.clientX;
+    dragStartY = pressY = event.clientY;
+}
+
+// Spread, angle and midpoint of the first two touches
+function getPinch(touches) {
+    const [a, b] = touches;
+    return {
+        distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+        angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX),
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2,
+    };
 }
 
 function handleTouchStart(event) {
     event.preventDefault();
+    // A second finger turns the drag into a pinch and twist
+    if (event.touches.length >= 2) {
+        isDragging = false;
+        pinch = getPinch(event.touches);
+        return;
+    }
     const touch = event.touches[0];
     handleMouseDown(touch);
 }
 
 function handleMouseUp(event) {
+    if (isDragging && Math.hypot(event.clientX - pressX, event.clientY - pressY) < ClickTolerance) {
+        handleClick(event.clientX, event.clientY);
+    }
     isDragging = false;
 }
 
 function handleTouchEnd(event) {
     event.preventDefault();
-    handleMouseUp(event);
+    if (pinch && event.touches.length < 2) {
+        pinch = null;
+        saveCameraSettings();
+        // The finger left on the screen carries on dragging
+        if (event.touches.length === 1) {
+            handleMouseDown(event.touches[0]);
+            pressX = pressY = Infinity; // Lifting it ends the gesture, not a click
+        }
+        return;
+    }
+    handleMouseUp(event.changedTouches[0]);
 }
 
 function handleMouseMove(event) {
+    // Hover over the globe when not dragging, refreshed every frame in updateHover()
+    if (!isDragging && event.target === renderer.domElement) {
+        hoverX = event.clientX;
+        hoverY = event.clientY;
+    } else {
+        hoverX = hoverY = null;
+    }
     if (!isDragging) return;
+    if (getViewAt(pressX) === 'map') return; // The map has no camera to orbit
     // Calculate mouse movement
     const deltaX = event.clientX - dragStartX;
     const deltaY = event.clientY - dragStartY;
@@ -170,27 +425,99 @@ function handleMouseMove(event) {
 
 function handleTouchMove(event) {
     event.preventDefault();
+    if (pinch && event.touches.length >= 2) {
+        // Pinch zooms toward the fingers, twist tilts the scene like Q/E
+        const next = getPinch(event.touches);
+        if (getViewAt(next.x) === 'globe') { // The map neither zooms nor tilts
+            if (next.distance > 0 && pinch.distance > 0) zoomCamera(pinch.distance / next.distance, next.x, next.y);
+            const twist = next.angle - pinch.angle;
+            tiltScene(Math.atan2(Math.sin(twist), Math.cos(twist))); // Across ±180° without a jump
+        }
+        pinch = next;
+        return;
+    }
     const touch = event.touches[0];
     handleMouseMove(touch);
 }
 
+// Wheel zooms toward the pointer
+let wheelSaveTimer;
+
+function handleWheel(event) {
+    event.preventDefault();
+    if (getViewAt(event.clientX) === 'map') return; // The map does not zoom
+    const delta = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY * WheelLineHeight : event.deltaY;
+    zoomCamera(Math.exp(delta * WheelZoomSpeed), event.clientX, event.clientY);
+    clearTimeout(wheelSaveTimer);
+    wheelSaveTimer = setTimeout(saveCameraSettings, WheelSaveDelay);
+}
+
+// Canvas rectangles of the globe and the map in CSS pixels, null when not shown
+function getViewports() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    if (viewMode === 'split') {
+        const half = Math.floor(width / 2);
+        return {
+            globe: { x: 0, y: 0, width: half, height },
+            map: { x: half, y: 0, width: width - half, height },
+        };
+    }
+    const full = { x: 0, y: 0, width, height };
+    return viewMode === 'map' ? { globe: null, map: full } : { globe: full, map: null };
+}
+
+// Which view is under a horizontal window position
+function getViewAt(clientX) {
+    const { map } = getViewports();
+    const x = clientX - renderer.domElement.getBoundingClientRect().left;
+    return map && x >= map.x ? 'map' : 'globe';
+}
+
+// Frame the view for the camera distance, leaving the canvas as it is
+function updateCameraZoom() {
+    const aspect = perspectiveCamera.aspect; // Kept up to date with the globe viewport
+    orthographicCamera.left = -cameraDistance * aspect;
+    orthographicCamera.right = cameraDistance * aspect;
+    orthographicCamera.top = cameraDistance;
+    orthographicCamera.bottom = -cameraDistance;
+    orthographicCamera.updateProjectionMatrix();
+    placeCamera(); // The perspective camera zooms by moving
+}
+
 function handleResize() {
-    const aspect = window.innerWidth / window.innerHeight;
-    camera.left = -cameraDistance * aspect;
-    camera.right = cameraDistance * aspect;
-    camera.top = cameraDistance;
-    camera.bottom = -cameraDistance;
-    camera.updateProjectionMatrix();
+    const { globe, map } = getViewports();
+    const globeViewport = globe ?? map;
+    perspectiveCamera.aspect = globeViewport.width / globeViewport.height;
+    perspectiveCamera.updateProjectionMatrix();
+    updateCameraZoom();
+    const mapViewport = map ?? globe;
+    resizeMapView(mapViewport.width / mapViewport.height);
     renderer.setSize(window.innerWidth, window.innerHeight);
+    // Labels only belong to the globe, which always starts at the left edge
+    labelRenderer.setSize(globeViewport.width, globeViewport.height);
+}
+
+// Leave keystrokes to form fields in the HUD
+function isTyping(event) {
+    if (event.target instanceof HTMLButtonElement) {
+        return event.key === ' ' || event.key === 'Enter'; // Already activates the button
+    }
+    return event.target instanceof HTMLInputElement
+        || event.target instanceof HTMLSelectElement
+        || event.target instanceof HTMLTextAreaElement;
 }
 
 function handleKeyDown(event) {
+    if (isTyping(event)) return;
     switch (event.key) {
         case 'q': case 'Q':
-            tiltScene(-1);
+            tiltScene(-TiltStep);
+            saveCameraSettings();
             break;
         case 'e': case 'E':
-            tiltScene(1);
+            tiltScene(TiltStep);
+            saveCameraSettings();
             break;
         case 'w': case 'W': case 'ArrowUp':
             moveSphericCamera(0, 1);
@@ -205,14 +532,20 @@ function handleKeyDown(event) {
             moveSphericCamera(-1, 0);
             break;
         case 'z': case 'Z': // Zoom out
-            cameraDistance *= 1.1;
-            cameraDistance = Math.min(cameraDistance, 10);
-            handleResize();
+            zoomCamera(ZoomStep);
+            saveCameraSettings();
             break;
         case 'c': case 'C': // Zoom in
-            cameraDistance *= 0.9;
-            cameraDistance = Math.max(cameraDistance, 1);
-            handleResize();
+            zoomCamera(1 / ZoomStep);
+            saveCameraSettings();
+            break;
+        case '-': case '_': // Narrower field of view, dollying out
+            setCameraFov(perspectiveCamera.fov - CameraFovStep);
+            setSetting('cameraFov', perspectiveCamera.fov);
+            break;
+        case '=': case '+': // Wider field of view, dollying in
+            setCameraFov(perspectiveCamera.fov + CameraFovStep);
+            setSetting('cameraFov', perspectiveCamera.fov);
             break;
         default:
             return;
@@ -220,23 +553,80 @@ function handleKeyDown(event) {
 }
 
 function handleKeyUp(event) {
+    if (isTyping(event)) return;
     switch (event.key) {
-        case 'r': case 'R': // Reset camera
+        case 'r': case 'R': // Reset camera and restore default preferences
             resetCamera();
-            handleResize();
+            resetSettings();
+            applySettings();
             break;
         case 'f': case 'F': // Align with equator
             root.rotation.x = 0;
+            setSetting('tilt', root.rotation.x);
             break;
         case 'v': case 'V': // Align with ecliptic
-            root.rotation.x = getSunlightAngle(new Date());
+            root.rotation.x = getSunPosition(getTime()).declination;
+            setSetting('tilt', root.rotation.x);
             break;
         case 't': case 'T': // Toggle markers
             noonMarker.visible = !noonMarker.visible;
             midnightMarker.visible = !midnightMarker.visible;
+            setSetting('markers', noonMarker.visible);
             break;
         case 'g': case 'G': // Toggle pole
             pole.visible = !pole.visible;
+            setSetting('pole', pole.visible);
+            break;
+        case 'o': case 'O': // Toggle perspective camera
+            setPerspective(!camera.isPerspectiveCamera);
+            setSetting('perspective', camera.isPerspectiveCamera);
+            break;
+        case 'y': case 'Y': // Switch between globe and flat map
+            setViewMode(ViewModes[(ViewModes.indexOf(viewMode) + 1) % ViewModes.length]);
+            setSetting('view', viewMode);
+            break;
+        case 'n': case 'N': // Toggle terminator line
+            terminatorLine.visible = !terminatorLine.visible;
+            setSetting('terminator', terminatorLine.visible);
+            break;
+        case 'u': case 'U': // Toggle graticule
+            setGraticule(!graticule.visible);
+            setSetting('graticule', graticule.visible);
+            break;
+        case 'i': case 'I': // Toggle tropics and polar circles
+            setCircles(!circles.visible);
+            setSetting('circles', circles.visible);
+            break;
+        case 'l': case 'L': // Toggle night lights
+            nightLights = !nightLights;
+            updateNightLights();
+            setSetting('nightLights', nightLights);
+            break;
+        case 'm': case 'M': // Toggle moon
+            moon.visible = !moon.visible;
+            setSetting('moon', moon.visible);
+            break;
+        case 'k': case 'K': // Toggle true moon distance
+            moonTrueScale = !moonTrueScale;
+            setSetting('moonTrueScale', moonTrueScale);
+            break;
+        case ' ': // Pause or resume playback
+            togglePaused();
+            break;
+        case 'x': case 'X': // Reverse playback
+            reverse();
+            break;
+        case '[': // Slower playback
+            changeSpeed(-1);
+            break;
+        case ']': // Faster playback
+            changeSpeed(1);
+            break;
+        case ',': // Step back
+            stepTime(-TimeStep);
+            break;
+        case '.': // Step forward
+            stepTime(TimeStep);
             break;
         default:
             return;
@@ -244,49 +634,291 @@ function handleKeyUp(event) {
 }
 
 window.addEventListener('resize', handleResize, false);
-window.addEventListener('mousedown', handleMouseDown, false);
+// Drags start on the canvas only so the HUD controls stay usable
+renderer.domElement.addEventListener('mousedown', handleMouseDown, false);
+renderer.domElement.addEventListener('mouseleave', () => hoverX = hoverY = null, false);
+renderer.domElement.addEventListener('wheel', handleWheel, { passive: false });
 window.addEventListener('mouseup', handleMouseUp, false);
 window.addEventListener('mousemove', handleMouseMove, false);
 window.addEventListener('keydown', handleKeyDown, false);
 window.addEventListener('keyup', handleKeyUp, false);
 // Add mobile touch support
-window.addEventListener('touchstart', handleTouchStart, false);
-window.addEventListener('touchend', handleTouchEnd, false);
-window.addEventListener('touchmove', handleTouchMove, false);
+renderer.domElement.addEventListener('touchstart', handleTouchStart, false);
+renderer.domElement.addEventListener('touchend', handleTouchEnd, false);
+renderer.domElement.addEventListener('touchmove', handleTouchMove, false);
+
+// Globe, flat map or both, the globe's text labels have no place on the map
+function setViewMode(mode) {
+    viewMode = ViewModes.includes(mode) ? mode : 'globe';
+    labelRenderer.domElement.style.display = viewMode === 'map' ? 'none' : '';
+    handleResize();
+}
 
+// Projection of the flat map
+const projectionSelect = document.getElementById('map-projection');
+
+function setProjection(name) {
+    setMapProjection(name);
+    projectionSelect.value = getMapProjection();
+}
+
+Object.entries(MapProjections).forEach(([name, { label }]) => projectionSelect.add(new Option(label, name)));
+projectionSelect.addEventListener('change', () => {
+    setProjection(projectionSelect.value);
+    setSetting('mapProjection', getMapProjection());
+});
+
+// Show or hide the equator, tropics and polar circles
+const circlesToggle = document.getElementById('circles-toggle');
+
+function setCircles(visible) {
+    circles.visible = visible;
+    circlesToggle.checked = visible;
+}
+
+circlesToggle.addEventListener('change', () => {
+    setCircles(circlesToggle.checked);
+    setSetting('circles', circles.visible);
+});
+
+// Show or hide the graticule, rebuilding it when the spacing changes
+const graticuleToggle = document.getElementById('graticule-toggle');
+const graticuleSelect = document.getElementById('graticule-spacing');
+
+function setGraticule(visible, spacing = graticuleSpacing) {
+    if (!GraticuleSpacings.includes(spacing)) spacing = DefaultGraticuleSpacing;
+    if (spacing !== graticuleSpacing) {
+        graticule.geometry.dispose();
+        graticule.geometry = createGraticuleGeometry(spacing, OverlayRadius);
+        graticuleSpacing = spacing;
+    }
+    graticule.visible = visible;
+    graticuleToggle.checked = visible;
+    graticuleSelect.value = spacing;
+}
+
+GraticuleSpacings.forEach(spacing => graticuleSelect.add(new Option(spacing + '°', spacing)));
+graticuleToggle.addEventListener('change', () => {
+    setGraticule(graticuleToggle.checked);
+    setSetting('graticule', graticule.visible);
+});
+graticuleSelect.addEventListener('change', () => {
+    setGraticule(graticule.visible, Number(graticuleSelect.value));
+    setSetting('graticuleSpacing', graticuleSpacing);
+});
+
+/* ========================================================================== */
+/*                                 Preferences                                */
+/* ========================================================================== */
+function applySettings() {
+    noonMarker.visible = getSetting('markers', false);
+    midnightMarker.visible = noonMarker.visible;
+    pole.visible = getSetting('pole', false);
+    terminatorLine.visible = getSetting('terminator', false);
+    setGraticule(getSetting('graticule', false), getSetting('graticuleSpacing', DefaultGraticuleSpacing));
+    setCircles(getSetting('circles', false));
+    nightLights = getSetting('nightLights', true);
+    updateNightLights();
+    moon.visible = getSetting('moon', false);
+    moonTrueScale = getSetting('moonTrueScale', false);
+    setViewMode(getSetting('view', 'globe'));
+    setProjection(getSetting('mapProjection', DefaultMapProjection));
+    root.rotation.x = getSetting('tilt', 0);
+    cameraDistance = getSetting('cameraDistance', DefaultCameraDistance);
+    setCameraFov(getSetting('cameraFov', DefaultCameraFov));
+    setPerspective(getSetting('perspective', false));
+    handleResize();
+}
+applySettings();
+
+/* ========================================================================== */
+/*                                  Permalink                                 */
+/* ========================================================================== */
+function getViewState() {
+    return {
+        time: isRealTime() ? null : getTime(),
+        rate: getRate(),
+        paused: isPaused(),
+        cameraTheta,
+        cameraPhi,
+        cameraDistance,
+        perspective: camera.isPerspectiveCamera,
+        fov: perspectiveCamera.fov,
+        tilt: root.rotation.x,
+        markers: noonMarker.visible,
+        pole: pole.visible,
+        terminator: terminatorLine.visible,
+        graticule: graticule.visible,
+        graticuleSpacing,
+        circles: circles.visible,
+        nightLights,
+        moon: moon.visible,
+        moonTrueScale,
+        view: viewMode,
+        projection: getMapProjection(),
+    };
+}
+
+function applyViewState(state) {
+    if (state.rate !== undefined || state.paused !== undefined) {
+        setPlayback(state.rate ?? getRate(), state.paused ?? isPaused());
+    }
+    if (state.time) setTime(state.time);
+    if (state.cameraDistance !== undefined) {
+        cameraDistance = Math.max(Math.min(state.cameraDistance, MaxCameraDistance), MinCameraDistance);
+    }
+    if (state.cameraTheta !== undefined) cameraTheta = state.cameraTheta;
+    if (state.cameraPhi !== undefined) cameraPhi = state.cameraPhi;
+    if (state.fov !== undefined) setCameraFov(state.fov);
+    if (state.perspective !== undefined) setPerspective(state.perspective);
+    moveSphericCamera(0, 0);
+    handleResize();
+    if (state.tilt !== undefined) {
+        root.rotation.x = Math.max(Math.min(state.tilt, PI / 2), -PI / 2);
+    }
+    if (state.markers !== undefined) {
+        noonMarker.visible = state.markers;
+        midnightMarker.visible = state.markers;
+    }
+    if (state.pole !== undefined) pole.visible = state.pole;
+    if (state.terminator !== undefined) terminatorLine.visible = state.terminator;
+    if (state.graticule !== undefined || state.graticuleSpacing !== undefined) {
+        setGraticule(state.graticule ?? graticule.visible, state.graticuleSpacing ?? graticuleSpacing);
+    }
+    if (state.circles !== undefined) setCircles(state.circles);
+    if (state.nightLights !== undefined) {
+        nightLights = state.nightLights;
+        updateNightLights();
+    }
+    if (state.moon !== undefined) moon.visible = state.moon;
+    if (state.moonTrueScale !== undefined) moonTrueScale = state.moonTrueScale;
+    if (state.view !== undefined) setViewMode(state.view);
+    if (state.projection !== undefined) setProjection(state.projection);
+}
+
+let lastPermalink = '';
+let lastPermalinkUpdate = 0;
+
+function updatePermalink(time) {
+    if (time - lastPermalinkUpdate < PermalinkInterval) return;
+    lastPermalinkUpdate = time;
+    const permalink = encodeViewState(getViewState());
+    if (permalink !== lastPermalink) {
+        history.replaceState(null, '', '#' + permalink);
+        lastPermalink = permalink;
+    }
+}
+
+applyViewState(decodeViewState(location.hash));
+window.addEventListener('hashchange', () => applyViewState(decodeViewState(location.hash)), false);
 
 /* ========================================================================== */
 /*                                  Animation                                 */
 /* ========================================================================== */
-// Adjust sphere rotation position y
+// Adjust sphere rotation position y so the subsolar meridian faces the sun
 function updateEarthRotation() {
-    const now = new Date();
-    const UTCMinutes = now.getUTCHours() * 60 + now.getUTCMinutes();
-    earth.rotation.y = UTCMinutes * RadPerMinute + GMTOffset - PI / 2;
+    const subsolarPoint = getSubsolarPoint(getTime());
+    earth.rotation.y = GMTOffset + PI / 2 - subsolarPoint.longitude;
+    updateMapView(subsolarPoint);
 }
 updateEarthRotation();
 
 // Adjust rotation x of light source
 function updateSunlightAngle() {
-    const sunlightAngle = getSunlightAngle(new Date());
+    const sunlightAngle = getSunPosition(getTime()).declination;
     directionalLight.position.set(0, SunlightDistance * Math.tan(sunlightAngle), SunlightDistance)
+    // Point the axis of the terminator circle at the sun
+    terminatorLine.rotation.x = PI / 2 - sunlightAngle;
+    // The earth shader works in world space, so include the scene tilt
+    directionalLight.getWorldPosition(earthMaterial.uniforms.sunDirection.value).normalize();
 }
 updateSunlightAngle();
 
-// Animation loop
-let lastEarthUpdate = 0;
-let lastSunlightUpdate = 0;
+// Size the circles from the obliquity and keep their labels on the side facing the camera
+const cameraInRoot = new THREE.Vector3();
+
+function updateCircles() {
+    const obliquity = getSunPosition(getTime()).obliquity;
+    root.worldToLocal(cameraInRoot.copy(camera.position));
+    const facing = Math.atan2(cameraInRoot.z, cameraInRoot.x);
+    circleLines.forEach(({ name, latitude, line, label }) => {
+        const lat = latitude(obliquity);
+        line.scale.set(Math.cos(lat), 1, Math.cos(lat));
+        line.position.y = OverlayRadius * Math.sin(lat);
+        label.position.set(
+            OverlayRadius * Math.cos(lat) * Math.cos(facing),
+            OverlayRadius * Math.sin(lat),
+            OverlayRadius * Math.cos(lat) * Math.sin(facing)
+        );
+        // Not behind the globe, whose horizon comes closer for a near perspective camera
+        const horizon = camera.isPerspectiveCamera ? label.position.lengthSq() : 0;
+        label.visible = label.position.dot(cameraInRoot) > horizon;
+        const text = lat === 0 ? name : name + ' ' + formatLatitude(lat);
+        if (label.element.textContent !== text) label.element.textContent = text;
+    });
+}
+
+// Copy the twilight band settings into the earth shader
+function updateTwilightBands(bands) {
+    const uniforms = earthMaterial.uniforms;
+    bands.forEach((band, i) => {
+        uniforms.twilightColors.value[i].set(band.color);
+        uniforms.twilightOpacities.value[i] = band.enabled ? band.opacity : 0;
+        uniforms.twilightLimits.value[i] = band.upper;
+        uniforms.twilightLimits.value[i + 1] = band.lower;
+    });
+}
+initTwilightControls(document.getElementById('twilight-controls'), updateTwilightBands);
+
+// Night lights show once their texture has loaded
+function updateNightLights() {
+    earthMaterial.uniforms.showNightLights.value = nightLights && earthMaterial.uniforms.nightMap.value !== null;
+}
+
+// Place the moon relative to the sun, which lies along +z in the root frame
+function updateMoonPosition() {
+    const time = getTime();
+    const moonPosition = getMoonPosition(time);
+    const fromSun = moonPosition.rightAscension - getSunPosition(time).rightAscension;
+    const distance = moonTrueScale ? moonPosition.distance : CompressedMoonDistance;
+    const declination = moonPosition.declination;
+    moon.position.set(
+        distance * Math.cos(declination) * Math.sin(fromSun),
+        distance * Math.sin(declination),
+        distance * Math.cos(declination) * Math.cos(fromSun)
+    );
+}
 
+// Follow the pointer, the globe keeps turning under it
+function updateHover() {
+    const location = hoverX === null ? null : pickLocation(hoverX, hoverY);
+    if (location) showTooltip(hoverX, hoverY, location.latitude, location.longitude);
+    else hideTooltip();
+}
+
+// Animation loop
 function animate(time) {
-    if (time - lastEarthUpdate > 1000 * UpdateInterval) {
-        updateEarthRotation();
-        lastEarthUpdate = time;
-    }
-    if (time - lastSunlightUpdate > 1000 * 3600) {
-        updateSunlightAngle();
-        lastSunlightUpdate = time;
+    // Follow the simulation clock every frame so playback runs smoothly
+    updateEarthRotation();
+    updateSunlightAngle();
+    if (moon.visible) updateMoonPosition();
+    updateHover();
+    if (circles.visible) updateCircles();
+    updatePermalink(time);
+    // Both views share the renderer, each drawn into its own part of the canvas
+    const { globe, map } = getViewports();
+    if (globe) {
+        updatePins(camera);
+        renderViewport(scene, camera, globe);
+        labelRenderer.render(scene, camera);
     }
-    renderer.render(scene, camera);
+    if (map) renderViewport(mapScene, mapCamera, map);
 }
-renderer.setAnimationLoop(animate);
 
+function renderViewport(viewScene, viewCamera, { x, y, width, height }) {
+    renderer.setViewport(x, y, width, height);
+    renderer.setScissor(x, y, width, height);
+    renderer.setScissorTest(true);
+    renderer.render(viewScene, viewCamera);
+}
+renderer.setAnimationLoop(animate);
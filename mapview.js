@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { mapVertexShader, mapFragmentShader } from './shaders.js';
+import { MapProjections, DefaultMapProjection } from './projections.js';
+import { latLonToVector } from './geo.js';
+
+/* ========================================================================== */
+/*                                  Map View                                  */
+/* ========================================================================== */
+// Flat day/night map in its own scene, shaded per pixel by the same surface
+// code and uniforms as the globe in any of the projections in projections.js
+
+const SubsolarMarkerRadius = 0.012;
+const LocationMarkerRadius = 0.008;
+
+// Layouts of the window: the globe, the map, or split with the globe on the left
+export const ViewModes = ['globe', 'map', 'split'];
+
+export const mapScene = new THREE.Scene();
+export const mapCamera = new THREE.OrthographicCamera(-1, 1, 0.5, -0.5, -1, 1);
+
+let mapMaterial;
+let mapPlane;
+let projectionName = DefaultMapProjection;
+let viewAspect = 1;
+let inspectedLocation = null;
+
+const subsolarMarker = new THREE.Mesh(
+    new THREE.CircleGeometry(SubsolarMarkerRadius, 24),
+    new THREE.MeshBasicMaterial({ color: 0xffff00 })
+);
+subsolarMarker.position.z = 0.1;
+mapScene.add(subsolarMarker);
+
+// Marker of the inspected location
+const locationMarker = new THREE.Mesh(
+    new THREE.CircleGeometry(LocationMarkerRadius, 16),
+    new THREE.MeshBasicMaterial({ color: 0xff00ff })
+);
+locationMarker.position.z = 0.2;
+locationMarker.visible = false;
+mapScene.add(locationMarker);
+
+// Share the globe's uniform objects so textures and layer settings stay in sync
+export function initMapView(earthUniforms) {
+    mapMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            ...earthUniforms,
+            sunDirection: { value: new THREE.Vector3(0, 0, 1) },
+            projection: { value: 0 },
+        },
+        vertexShader: mapVertexShader,
+        fragmentShader: mapFragmentShader,
+    });
+    // Unit plane scaled to the extent of the projection
+    mapPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), mapMaterial);
+    mapScene.add(mapPlane);
+    setMapProjection(projectionName);
+}
+
+export function getMapProjection() {
+    return projectionName;
+}
+
+export function setMapProjection(name) {
+    if (!Object.hasOwn(MapProjections, name)) name = DefaultMapProjection;
+    projectionName = name;
+    const projection = MapProjections[name];
+    mapMaterial.uniforms.projection.value = Object.keys(MapProjections).indexOf(name);
+    mapPlane.scale.set(projection.width, projection.height, 1);
+    placeMarker(locationMarker, inspectedLocation);
+    resizeMapView(viewAspect);
+}
+
+// Put a marker at a location, hidden where the projection leaves it out
+function placeMarker(marker, location) {
+    const point = location && MapProjections[projectionName].project(location.latitude, location.longitude);
+    marker.visible = Boolean(point);
+    if (point) marker.position.set(point.x, point.y, marker.position.z);
+}
+
+export function updateMapView(subsolarPoint) {
+    mapMaterial.uniforms.sunDirection.value.copy(latLonToVector(subsolarPoint.latitude, subsolarPoint.longitude));
+    placeMarker(subsolarMarker, subsolarPoint);
+}
+
+// Latitude and longitude in radians, or null to hide the marker
+export function setMapLocation(location) {
+    inspectedLocation = location;
+    placeMarker(locationMarker, location);
+}
+
+// Fit the whole map into a viewport of the given aspect ratio
+export function resizeMapView(aspect) {
+    viewAspect = aspect;
+    const { width, height } = MapProjections[projectionName];
+    const halfWidth = Math.max(width / 2, height / 2 * aspect);
+    const halfHeight = halfWidth / aspect;
+    mapCamera.left = -halfWidth;
+    mapCamera.right = halfWidth;
+    mapCamera.top = halfHeight;
+    mapCamera.bottom = -halfHeight;
+    mapCamera.updateProjectionMatrix();
+}
+
+// Location under normalized device coordinates of the map viewport
+export function pickMapLocation(ndcX, ndcY) {
+    const x = mapCamera.left + (ndcX + 1) / 2 * (mapCamera.right - mapCamera.left);
+    const y = mapCamera.bottom + (ndcY + 1) / 2 * (mapCamera.top - mapCamera.bottom);
+    return MapProjections[projectionName].unproject(x, y);
+}
@@ -0,0 +1,60 @@
+import { toJulianCentury, getSunPosition } from './solar.js';
+
+/* ========================================================================== */
+/*                               Lunar Ephemeris                              */
+/* ========================================================================== */
+// Low precision geocentric position of the moon after the Astronomical
+// Almanac, good to ~0.3 deg in position and ~0.2% in distance
+
+const DegToRad = Math.PI / 180;
+
+function sinDeg(deg) {
+    return Math.sin(deg * DegToRad);
+}
+
+function cosDeg(deg) {
+    return Math.cos(deg * DegToRad);
+}
+
+// All angles are returned in radians, distance in earth radii
+export function getMoonPosition(time) {
+    const T = toJulianCentury(time);
+
+    const eclipticLongitude = (218.32 + 481267.881 * T
+        + 6.29 * sinDeg(135.0 + 477198.87 * T)
+        - 1.27 * sinDeg(259.3 - 413335.36 * T)
+        + 0.66 * sinDeg(235.7 + 890534.22 * T)
+        + 0.21 * sinDeg(269.9 + 954397.74 * T)
+        - 0.19 * sinDeg(357.5 + 35999.05 * T)
+        - 0.11 * sinDeg(186.5 + 966404.03 * T)) * DegToRad;
+
+    const eclipticLatitude = (5.13 * sinDeg(93.3 + 483202.02 * T)
+        + 0.28 * sinDeg(228.2 + 960400.89 * T)
+        - 0.28 * sinDeg(318.3 + 6003.15 * T)
+        - 0.17 * sinDeg(217.6 - 407332.21 * T)) * DegToRad;
+
+    const parallax = (0.9508
+        + 0.0518 * cosDeg(135.0 + 477198.87 * T)
+        + 0.0095 * cosDeg(259.3 - 413335.36 * T)
+        + 0.0078 * cosDeg(235.7 + 890534.22 * T)
+        + 0.0028 * cosDeg(269.9 + 954397.74 * T)) * DegToRad;
+
+    // Ecliptic to equatorial coordinates
+    const obliquity = getSunPosition(time).obliquity;
+    const x = Math.cos(eclipticLatitude) * Math.cos(eclipticLongitude);
+    const y = Math.cos(eclipticLatitude) * Math.sin(eclipticLongitude);
+    const z = Math.sin(eclipticLatitude);
+    const rightAscension = Math.atan2(
+        y * Math.cos(obliquity) - z * Math.sin(obliquity),
+        x
+    );
+    const declination = Math.asin(y * Math.sin(obliquity) + z * Math.cos(obliquity));
+
+    return {
+        eclipticLongitude,
+        eclipticLatitude,
+        rightAscension,
+        declination,
+        distance: 1 / Math.sin(parallax),
+    };
+}
@@ -0,0 +1,48 @@
+import * as THREE from 'three';
+import { latLonToVector } from './geo.js';
+
+/* ========================================================================== */
+/*                              Overlay Geometry                              */
+/* ========================================================================== */
+// Line geometry in the earth mesh local frame, for THREE.LineSegments
+
+const DegToRad = Math.PI / 180;
+const SegmentDegrees = 2; // Resolution of the curves
+
+export const GraticuleSpacings = [10, 15, 30]; // Degrees
+export const DefaultGraticuleSpacing = 15;
+
+// Line segment pairs along a parallel, all the way around
+function pushParallel(points, latitude, radius) {
+    for (let lon = -180; lon < 180; lon += SegmentDegrees) {
+        points.push(
+            latLonToVector(latitude * DegToRad, lon * DegToRad, radius),
+            latLonToVector(latitude * DegToRad, (lon + SegmentDegrees) * DegToRad, radius)
+        );
+    }
+}
+
+// Line segment pairs along a meridian, from pole to pole
+function pushMeridian(points, longitude, radius) {
+    for (let lat = -90; lat < 90; lat += SegmentDegrees) {
+        points.push(
+            latLonToVector(lat * DegToRad, longitude * DegToRad, radius),
+            latLonToVector((lat + SegmentDegrees) * DegToRad, longitude * DegToRad, radius)
+        );
+    }
+}
+
+// Parallels and meridians every `spacing` degrees
+export function createGraticuleGeometry(spacing, radius) {
+    const points = [];
+    for (let lat = -90 + spacing; lat < 90; lat += spacing) pushParallel(points, lat, radius);
+    for (let lon = -180; lon < 180; lon += spacing) pushMeridian(points, lon, radius);
+    return new THREE.BufferGeometry().setFromPoints(points);
+}
+
+// A single parallel at a latitude in degrees
+export function createParallelGeometry(latitude, radius) {
+    const points = [];
+    pushParallel(points, latitude, radius);
+    return new THREE.BufferGeometry().setFromPoints(points);
+}
@@ -0,0 +1,82 @@
+import { MapProjections } from './projections.js';
+import { ViewModes } from './mapview.js';
+import { GraticuleSpacings } from './overlays.js';
+
+/* ========================================================================== */
+/*                                 Permalinks                                 */
+/* ========================================================================== */
+// Serialize the view state into the URL hash, e.g.
+// #t=2024-06-21T12:00:00Z&rate=3600&paused=1&camera=1.571,1.571,1.5&tilt=0.41&markers=1&pole=0
+
+// Boolean toggles, stored under the same name in the state and the hash
+const FlagKeys = [
+    'perspective', 'markers', 'pole', 'terminator', 'graticule', 'circles', 'nightLights', 'moon', 'moonTrueScale',
+];
+
+function formatNumber(value) {
+    return Number(value.toFixed(4)).toString();
+}
+
+function parseNumbers(text, count) {
+    const values = text.split(',').map(Number);
+    return values.length === count && values.every(Number.isFinite) ? values : undefined;
+}
+
+function parseFlag(text) {
+    return text === '1' ? true : text === '0' ? false : undefined;
+}
+
+// `time` is omitted while the view follows the real clock
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+    if (state.time) params.set('t', state.time.toISOString().replace(/\.\d{3}Z$/, 'Z'));
+    if (state.rate !== 1) params.set('rate', formatNumber(state.rate));
+    if (state.paused) params.set('paused', '1');
+    params.set('camera', [state.cameraTheta, state.cameraPhi, state.cameraDistance].map(formatNumber).join(','));
+    params.set('fov', formatNumber(state.fov));
+    params.set('tilt', formatNumber(state.tilt));
+    FlagKeys.forEach(key => params.set(key, state[key] ? '1' : '0'));
+    params.set('graticuleSpacing', state.graticuleSpacing);
+    params.set('view', state.view);
+    params.set('projection', state.projection);
+    // Keep commas and colons readable, both are valid in a fragment
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Only the fields present and valid in the hash are returned
+export function decodeViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    if (params.has('t')) {
+        const time = new Date(params.get('t'));
+        if (Number.isFinite(time.getTime())) state.time = time;
+    }
+    if (params.has('rate')) {
+        const rate = Number(params.get('rate'));
+        if (Number.isFinite(rate) && rate !== 0) state.rate = rate;
+    }
+    if (params.has('paused')) state.paused = parseFlag(params.get('paused'));
+    if (params.has('camera')) {
+        const camera = parseNumbers(params.get('camera'), 3);
+        if (camera) [state.cameraTheta, state.cameraPhi, state.cameraDistance] = camera;
+    }
+    if (params.has('fov')) {
+        const fov = Number(params.get('fov'));
+        if (Number.isFinite(fov)) state.fov = fov;
+    }
+    if (params.has('tilt')) {
+        const tilt = Number(params.get('tilt'));
+        if (Number.isFinite(tilt)) state.tilt = tilt;
+    }
+    FlagKeys.forEach(key => {
+        if (params.has(key)) state[key] = parseFlag(params.get(key));
+    });
+    const graticuleSpacing = Number(params.get('graticuleSpacing'));
+    if (GraticuleSpacings.includes(graticuleSpacing)) state.graticuleSpacing = graticuleSpacing;
+    if (ViewModes.includes(params.get('view'))) state.view = params.get('view');
+    if (Object.hasOwn(MapProjections, params.get('projection'))) state.projection = params.get('projection');
+
+    Object.keys(state).forEach(key => state[key] === undefined && delete state[key]);
+    return state;
+}
@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { getTime, onTick } from './clock.js';
+import { getSunHorizontal, getDaylightPhase } from './solar.js';
+import { latLonToVector, getNominalZoneOffset } from './geo.js';
+import { getInspectedLocation } from './inspect.js';
+import { getSetting, setSetting, keepOnReset } from './settings.js';
+import { isValidTimeZone, getTimeZones, getTimeZoneOffset } from './timezone.js';
+import { formatClockTime } from './format.js';
+
+/* ========================================================================== */
+/*                              Pinned Locations                              */
+/* ========================================================================== */
+// Named places kept in settings, drawn as markers with labels on the earth
+// and listed in the sidebar. Coordinates are stored in degrees; the IANA time
+// zone is optional and falls back to the nominal zone of the longitude.
+
+const PinRadius = 0.006;
+const PinColor = 0x00ffcc;
+const DegToRad = Math.PI / 180;
+
+const DefaultPins = [
+    { id: 'beijing', name: '北京', latitude: 39.9042, longitude: 116.4074, timeZone: 'Asia/Shanghai' },
+    { id: 'london', name: '伦敦', latitude: 51.5074, longitude: -0.1278, timeZone: 'Europe/London' },
+    { id: 'new-york', name: '纽约', latitude: 40.7128, longitude: -74.006, timeZone: 'America/New_York' },
+    { id: 'sydney', name: '悉尼', latitude: -33.8688, longitude: 151.2093, timeZone: 'Australia/Sydney' },
+];
+
+export const PhaseIcons = {
+    day: '☀️',
+    civil: '🌇',
+    nautical: '🌇',
+    astronomical: '🌇',
+    night: '🌙',
+};
+
+const panel = document.getElementById('pins');
+const list = document.getElementById('pin-list');
+const form = document.getElementById('pin-form');
+
+let pins = getSetting('pins', DefaultPins);
+keepOnReset('pins');
+
+const changeListeners = new Set();
+let lastSecond; // Of the last list refresh
+
+const pinGroup = new THREE.Group();
+const pinObjects = new Map(); // Pin id to { marker, label, row, status }
+const markerGeometry = new THREE.SphereGeometry(PinRadius, 12, 6);
+const markerMaterial = new THREE.MeshBasicMaterial({ color: PinColor });
+
+export function getPins() {
+    return pins;
+}
+
+function getPin(id) {
+    return pins.find(pin => pin.id === id);
+}
+
+function savePins() {
+    setSetting('pins', pins.map(pin => ({ ...pin })));
+    changeListeners.forEach(listener => listener(pins));
+}
+
+export function onPinsChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+function isValidLocation(latitude, longitude) {
+    return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+export function addPin(name, latitude, longitude, timeZone = '') {
+    if (!name || !isValidLocation(latitude, longitude)) return;
+    if (timeZone && !isValidTimeZone(timeZone)) timeZone = '';
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    pins = [...pins, { id, name, latitude, longitude, timeZone }];
+    rebuildPins();
+    savePins();
+}
+
+export function updatePin(id, changes) {
+    pins = pins.map(pin => pin.id === id ? { ...pin, ...changes } : pin);
+    refreshPin(getPin(id)); // In place, so focus stays in the list
+    savePins();
+}
+
+export function removePin(id) {
+    pins = pins.filter(pin => pin.id !== id);
+    rebuildPins();
+    savePins();
+}
+
+/* -------------------------------------------------------------------------- */
+
+function createInput(type, value, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.placeholder = placeholder;
+    if (type === 'number') input.step = 'any';
+    return input;
+}
+
+function createRow(pin) {
+    const row = document.createElement('li');
+    row.className = 'layer-row';
+
+    const name = createInput('text', pin.name, '名称');
+    const latitude = createInput('number', pin.latitude, '纬度');
+    const longitude = createInput('number', pin.longitude, '经度');
+    const timeZone = createInput('text', pin.timeZone ?? '', '时区');
+    timeZone.setAttribute('list', 'time-zones');
+    const status = document.createElement('span');
+    status.className = 'pin-status';
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = '删除';
+
+    name.addEventListener('change', () => name.value && updatePin(pin.id, { name: name.value }));
+    [latitude, longitude].forEach(input => input.addEventListener('change', () => {
+        const lat = Number(latitude.value), lon = Number(longitude.value);
+        if (isValidLocation(lat, lon)) updatePin(pin.id, { latitude: lat, longitude: lon });
+    }));
+    timeZone.addEventListener('change', () => {
+        if (!timeZone.value || isValidTimeZone(timeZone.value)) updatePin(pin.id, { timeZone: timeZone.value });
+        else timeZone.value = getPin(pin.id).timeZone ?? '';
+    });
+    remove.addEventListener('click', () => removePin(pin.id));
+
+    row.append(name, latitude, longitude, timeZone, status, remove);
+    return { row, status };
+}
+
+// Move the marker and label of an edited pin
+function refreshPin(pin) {
+    const { marker, label } = pinObjects.get(pin.id);
+    const position = latLonToVector(pin.latitude * DegToRad, pin.longitude * DegToRad);
+    marker.position.copy(position);
+    label.position.copy(position);
+    lastSecond = undefined;
+}
+
+// Recreate markers, labels and list rows from the pin list
+function rebuildPins() {
+    pinGroup.clear(); // Detaching the labels also removes their elements
+    list.innerHTML = '';
+    pinObjects.clear();
+    pins.forEach(pin => {
+        const position = latLonToVector(pin.latitude * DegToRad, pin.longitude * DegToRad);
+
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.copy(position);
+
+        const element = document.createElement('div');
+        element.className = 'pin-label';
+        const label = new CSS2DObject(element);
+        label.position.copy(position);
+        label.center.set(0, 1); // Bottom left corner on the pin
+
+        const { row, status } = createRow(pin);
+        pinGroup.add(marker, label);
+        list.appendChild(row);
+        pinObjects.set(pin.id, { marker, label, row, status });
+    });
+    lastSecond = undefined;
+}
+
+// Attach the pins to the earth mesh so they turn with it
+export function initPinMarkers(parent) {
+    parent.add(pinGroup);
+}
+
+/* -------------------------------------------------------------------------- */
+
+const labelPosition = new THREE.Vector3();
+const toCamera = new THREE.Vector3();
+
+// UTC offset in minutes of a pin's local time
+export function getPinOffset(pin, time) {
+    return pin.timeZone && isValidTimeZone(pin.timeZone)
+        ? getTimeZoneOffset(time, pin.timeZone)
+        : getNominalZoneOffset(pin.longitude * DegToRad);
+}
+
+// One of the PhaseIcons for the sun elevation at a pin
+export function getPinPhaseIcon(pin, time) {
+    const { elevation } = getSunHorizontal(time, pin.latitude * DegToRad, pin.longitude * DegToRad);
+    return PhaseIcons[getDaylightPhase(elevation)];
+}
+
+function describePin(pin, time) {
+    return formatClockTime(time, getPinOffset(pin, time)).slice(0, 5) + ' ' + getPinPhaseIcon(pin, time);
+}
+
+// Refresh label texts and hide labels on the far side of the globe
+export function updatePins(camera) {
+    const time = getTime();
+    pins.forEach(pin => {
+        const { label } = pinObjects.get(pin.id);
+        const text = pin.name + ' ' + describePin(pin, time);
+        if (label.element.textContent !== text) label.element.textContent = text;
+
+        label.getWorldPosition(labelPosition);
+        if (camera.isOrthographicCamera) camera.getWorldDirection(toCamera).negate();
+        else toCamera.subVectors(camera.position, labelPosition);
+        label.visible = labelPosition.dot(toCamera) > 0; // Earth is centered on the origin
+    });
+}
+
+// Local time and daylight in the sidebar list, whichever view is drawn
+function updatePinList(time) {
+    const second = Math.floor(time.getTime() / 1000);
+    if (!panel.open || second === lastSecond) return;
+    pins.forEach(pin => {
+        const { status } = pinObjects.get(pin.id);
+        const description = describePin(pin, time);
+        if (status.textContent !== description) status.textContent = description;
+    });
+    lastSecond = second;
+}
+
+panel.addEventListener('toggle', () => lastSecond = undefined);
+rebuildPins();
+onTick(updatePinList);
+
+/* -------------------------------------------------------------------------- */
+
+form.addEventListener('submit', event => {
+    event.preventDefault();
+    addPin(
+        form.elements.name.value.trim(),
+        Number(form.elements.latitude.value),
+        Number(form.elements.longitude.value),
+        form.elements.timeZone.value.trim()
+    );
+    form.reset();
+});
+
+document.getElementById('pin-pick').addEventListener('click', () => {
+    const location = getInspectedLocation();
+    if (!location) return;
+    form.elements.latitude.value = (location.latitude / DegToRad).toFixed(4);
+    form.elements.longitude.value = (location.longitude / DegToRad).toFixed(4);
+});
+
+// Suggestions for the time zone fields
+const timeZoneList = document.getElementById('time-zones');
+getTimeZones().forEach(timeZone => {
+    const option = document.createElement('option');
+    option.value = timeZone;
+    timeZoneList.appendChild(option);
+});
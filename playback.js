@@ -0,0 +1,42 @@
+import {
+    PlaybackSpeeds, TimeStep, getRate, isPaused, setPlayback, togglePaused, reverse, stepTime, onPlaybackChange,
+} from './clock.js';
+
+const SpeedLabels = {
+    1: '实时',
+    60: '1 分钟/秒',
+    600: '10 分钟/秒',
+    3600: '1 小时/秒',
+    86400: '1 天/秒',
+    604800: '1 周/秒',
+    2592000: '30 天/秒',
+};
+
+const speedSelect = document.getElementById('playback-speed');
+const pauseButton = document.getElementById('playback-pause');
+const reverseButton = document.getElementById('playback-reverse');
+
+PlaybackSpeeds.forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = SpeedLabels[speed] ?? speed + '×';
+    speedSelect.appendChild(option);
+});
+
+function updatePlaybackControls() {
+    const rate = getRate();
+    speedSelect.value = Math.abs(rate);
+    pauseButton.innerHTML = isPaused() ? '▶' : '⏸';
+    reverseButton.classList.toggle('active', rate < 0);
+}
+
+speedSelect.addEventListener('change', () => {
+    setPlayback(Math.sign(getRate()) * Number(speedSelect.value));
+});
+pauseButton.addEventListener('click', togglePaused);
+reverseButton.addEventListener('click', reverse);
+document.getElementById('playback-back').addEventListener('click', () => stepTime(-TimeStep));
+document.getElementById('playback-forward').addEventListener('click', () => stepTime(TimeStep));
+
+onPlaybackChange(updatePlaybackControls);
+updatePlaybackControls();
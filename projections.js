@@ -0,0 +1,105 @@
+/* ========================================================================== */
+/*                               Map Projections                              */
+/* ========================================================================== */
+// Projections of the flat map view in map plane units, where the equator or
+// the polar disc spans -1..1 across. Latitude and longitude are in radians.
+// The map shader carries the inverse of each to shade every pixel, so keep
+// the two in step.
+
+const PI = Math.PI;
+
+// Robinson table every 5° of latitude from the equator to the pole
+export const RobinsonStep = 5 * PI / 180;
+export const RobinsonLengths = [ // Parallel length relative to the equator
+    1.0000, 0.9986, 0.9954, 0.9900, 0.9822, 0.9730, 0.9600, 0.9427, 0.9216, 0.8962,
+    0.8679, 0.8350, 0.7986, 0.7597, 0.7186, 0.6732, 0.6213, 0.5722, 0.5322,
+];
+export const RobinsonDistances = [ // Distance from the equator relative to the pole
+    0.0000, 0.0620, 0.1240, 0.1860, 0.2480, 0.3100, 0.3720, 0.4340, 0.4958, 0.5571,
+    0.6176, 0.6769, 0.7346, 0.7903, 0.8435, 0.8936, 0.9394, 0.9761, 1.0000,
+];
+export const RobinsonHeight = 1.3523 / (0.8487 * PI); // Pole distance from the equator
+
+// Web Mercator stops where the map becomes square, about 85.05°
+const MercatorLimit = 2 * Math.atan(Math.exp(PI)) - PI / 2;
+
+// Linear interpolation in a Robinson table, like the map shader
+function interpolateRobinson(table, latitude) {
+    const position = Math.min(Math.abs(latitude) / RobinsonStep, table.length - 1);
+    const i = Math.min(Math.floor(position), table.length - 2);
+    return table[i] + (table[i + 1] - table[i]) * (position - i);
+}
+
+// `project` returns null for points the projection leaves out, `unproject`
+// for points off the map. The order is the shader's projection index.
+export const MapProjections = {
+    equirectangular: {
+        label: '等距圆柱',
+        width: 2,
+        height: 1,
+        project: (latitude, longitude) => ({ x: longitude / PI, y: latitude / PI }),
+        unproject: (x, y) => Math.abs(x) <= 1 && Math.abs(y) <= 0.5
+            ? { latitude: y * PI, longitude: x * PI }
+            : null,
+    },
+    mercator: {
+        label: '墨卡托',
+        width: 2,
+        height: 2,
+        project: (latitude, longitude) => Math.abs(latitude) <= MercatorLimit
+            ? { x: longitude / PI, y: Math.log(Math.tan(PI / 4 + latitude / 2)) / PI }
+            : null,
+        unproject: (x, y) => Math.abs(x) <= 1 && Math.abs(y) <= 1
+            ? { latitude: 2 * Math.atan(Math.exp(y * PI)) - PI / 2, longitude: x * PI }
+            : null,
+    },
+    robinson: {
+        label: '罗宾森',
+        width: 2,
+        height: 2 * RobinsonHeight,
+        project: (latitude, longitude) => ({
+            x: interpolateRobinson(RobinsonLengths, latitude) * longitude / PI,
+            y: Math.sign(latitude) * RobinsonHeight * interpolateRobinson(RobinsonDistances, latitude),
+        }),
+        unproject: (x, y) => {
+            const distance = Math.abs(y) / RobinsonHeight;
+            if (distance > 1) return null;
+            let i = 0;
+            while (i < RobinsonDistances.length - 2 && distance > RobinsonDistances[i + 1]) i++;
+            const step = (distance - RobinsonDistances[i]) / (RobinsonDistances[i + 1] - RobinsonDistances[i]);
+            const latitude = Math.sign(y) * (i + step) * RobinsonStep;
+            const longitude = x / interpolateRobinson(RobinsonLengths, latitude) * PI;
+            return Math.abs(longitude) <= PI ? { latitude, longitude } : null;
+        },
+    },
+    // Azimuthal equidistant down to the equator, 0° longitude at the bottom
+    northPolar: {
+        label: '北极方位',
+        width: 2,
+        height: 2,
+        project: (latitude, longitude) => {
+            const r = 1 - latitude / (PI / 2);
+            return r <= 1 ? { x: r * Math.sin(longitude), y: -r * Math.cos(longitude) } : null;
+        },
+        unproject: (x, y) => {
+            const r = Math.hypot(x, y);
+            return r <= 1 ? { latitude: (1 - r) * PI / 2, longitude: Math.atan2(x, -y) } : null;
+        },
+    },
+    // Azimuthal equidistant up to the equator, 0° longitude at the top
+    southPolar: {
+        label: '南极方位',
+        width: 2,
+        height: 2,
+        project: (latitude, longitude) => {
+            const r = 1 + latitude / (PI / 2);
+            return r <= 1 ? { x: r * Math.sin(longitude), y: r * Math.cos(longitude) } : null;
+        },
+        unproject: (x, y) => {
+            const r = Math.hypot(x, y);
+            return r <= 1 ? { latitude: (r - 1) * PI / 2, longitude: Math.atan2(x, y) } : null;
+        },
+    },
+};
+
+export const DefaultMapProjection = 'equirectangular';
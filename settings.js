@@ -0,0 +1,57 @@
+/* ========================================================================== */
+/*                                  Settings                                  */
+/* ========================================================================== */
+// User preferences remembered between sessions in localStorage. Each consumer
+// passes its own default, so new options need no registration here.
+
+const StorageKey = 'earth-daylight-settings';
+
+let settings = loadSettings();
+
+const resetListeners = new Set();
+const keptKeys = new Set();
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(StorageKey));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        return {}; // Storage unavailable or corrupted, start over
+    }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(StorageKey, JSON.stringify(settings));
+    } catch (error) {
+        // Storage unavailable or full, keep the settings for this session only
+    }
+}
+
+export function getSetting(key, defaultValue) {
+    return key in settings ? settings[key] : defaultValue;
+}
+
+export function setSetting(key, value) {
+    if (settings[key] === value) return;
+    settings[key] = value;
+    saveSettings();
+}
+
+// Keys holding user data rather than preferences survive a reset
+export function keepOnReset(key) {
+    keptKeys.add(key);
+}
+
+// Forget every stored preference so the defaults apply again
+export function resetSettings() {
+    settings = Object.fromEntries(Object.entries(settings).filter(([key]) => keptKeys.has(key)));
+    saveSettings();
+    resetListeners.forEach(listener => listener());
+}
+
+// Modules owning their own settings reload them here after a reset
+export function onSettingsReset(listener) {
+    resetListeners.add(listener);
+    return () => resetListeners.delete(listener);
+}
@@ -0,0 +1,163 @@
+import { MapProjections, RobinsonStep, RobinsonLengths, RobinsonDistances, RobinsonHeight } from './projections.js';
+
+/* ========================================================================== */
+/*                                   Shaders                                  */
+/* ========================================================================== */
+// Earth surface blending the day map, lit like MeshStandardMaterial, with the
+// night lights map on the dark side and twilight bands tinted on top. The
+// globe and the flat map share the shading and differ in how they find the
+// surface point of a fragment.
+
+export const TwilightBandCount = 3;
+
+const surfaceShading = /* glsl */`
+#define PI 3.141592653589793
+#define RECIPROCAL_PI 0.3183098861837907
+
+uniform sampler2D dayMap;
+uniform sampler2D nightMap;
+uniform bool showNightLights;
+uniform float sunIntensity;
+uniform float ambientIntensity;
+uniform float nightIntensity;
+uniform float transitionWidth; // Sine of the sun elevation over which day fades into night
+uniform vec3 twilightColors[${TwilightBandCount}];
+uniform float twilightOpacities[${TwilightBandCount}]; // Zero hides the band
+uniform float twilightLimits[${TwilightBandCount + 1}]; // Band edges, sun elevation in degrees
+
+// Color of the map at uv where the sun is at acos(sunCosine) from the zenith,
+// sampled with the given screen space gradients of uv
+vec3 shadeSurface(vec2 uv, vec2 uvDx, vec2 uvDy, float sunCosine) {
+    // Lambert diffuse from the sun and the ambient light
+    vec3 dayColor = textureGrad(dayMap, uv, uvDx, uvDy).rgb;
+    vec3 color = dayColor * (ambientIntensity + sunIntensity * max(sunCosine, 0.0)) * RECIPROCAL_PI;
+
+    // City lights fade in across the terminator
+    if (showNightLights) {
+        float night = 1.0 - smoothstep(-transitionWidth, transitionWidth, sunCosine);
+        color += textureGrad(nightMap, uv, uvDx, uvDy).rgb * nightIntensity * night;
+    }
+
+    float elevation = degrees(asin(clamp(sunCosine, -1.0, 1.0)));
+    for (int i = 0; i < ${TwilightBandCount}; i++) {
+        if (elevation < twilightLimits[i] && elevation >= twilightLimits[i + 1]) {
+            color = mix(color, twilightColors[i], twilightOpacities[i]);
+        }
+    }
+    return color;
+}
+`;
+
+export const earthVertexShader = /* glsl */`
+varying vec2 vUv;
+varying vec3 vNormal;
+
+void main() {
+    vUv = uv;
+    vNormal = normalize(mat3(modelMatrix) * normal); // World space
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+export const earthFragmentShader = /* glsl */`
+${surfaceShading}
+uniform vec3 sunDirection; // World space, normalized
+
+varying vec2 vUv;
+varying vec3 vNormal;
+
+void main() {
+    gl_FragColor = vec4(shadeSurface(vUv, dFdx(vUv), dFdy(vUv), dot(normalize(vNormal), sunDirection)), 1.0);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// GLSL float array literal of a JS table
+function glslArray(values) {
+    return `float[${values.length}](${values.map(value => value.toFixed(4)).join(', ')})`;
+}
+
+// Flat map, each fragment unprojected to the surface point it shows. Follows
+// the inverse projections in projections.js, indexed in the same order.
+export const mapVertexShader = /* glsl */`
+varying vec2 vPosition;
+
+void main() {
+    vPosition = (modelMatrix * vec4(position, 1.0)).xy; // Map plane units
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+export const mapFragmentShader = /* glsl */`
+${surfaceShading}
+${Object.keys(MapProjections).map((name, i) => `#define PROJECTION_${name.toUpperCase()} ${i}`).join('\n')}
+
+const float robinsonStep = ${RobinsonStep.toFixed(8)};
+const float robinsonHeight = ${RobinsonHeight.toFixed(8)};
+const float robinsonLengths[${RobinsonLengths.length}] = ${glslArray(RobinsonLengths)};
+const float robinsonDistances[${RobinsonDistances.length}] = ${glslArray(RobinsonDistances)};
+
+uniform int projection;
+uniform vec3 sunDirection; // Earth mesh local frame, normalized
+
+varying vec2 vPosition;
+
+float robinsonLength(float latitude) {
+    float position = min(abs(latitude) / robinsonStep, ${RobinsonLengths.length - 1}.0);
+    int i = min(int(position), ${RobinsonLengths.length - 2});
+    return mix(robinsonLengths[i], robinsonLengths[i + 1], position - float(i));
+}
+
+// Latitude and longitude shown at a point of the map plane, false off the map
+bool unproject(vec2 p, out float latitude, out float longitude) {
+    float r = length(p);
+    if (projection == PROJECTION_MERCATOR) {
+        latitude = 2.0 * atan(exp(p.y * PI)) - PI / 2.0;
+        longitude = p.x * PI;
+        return abs(p.x) <= 1.0 && abs(p.y) <= 1.0;
+    }
+    if (projection == PROJECTION_ROBINSON) {
+        float fromEquator = abs(p.y) / robinsonHeight;
+        int i = 0;
+        while (i < ${RobinsonDistances.length - 2} && fromEquator > robinsonDistances[i + 1]) i++;
+        float fraction = (fromEquator - robinsonDistances[i]) / (robinsonDistances[i + 1] - robinsonDistances[i]);
+        latitude = sign(p.y) * (float(i) + fraction) * robinsonStep;
+        longitude = p.x / robinsonLength(latitude) * PI;
+        return fromEquator <= 1.0 && abs(longitude) <= PI;
+    }
+    if (projection == PROJECTION_NORTHPOLAR) {
+        latitude = (1.0 - r) * PI / 2.0;
+        longitude = atan(p.x, -p.y);
+        return r <= 1.0;
+    }
+    if (projection == PROJECTION_SOUTHPOLAR) {
+        latitude = (r - 1.0) * PI / 2.0;
+        longitude = atan(p.x, p.y);
+        return r <= 1.0;
+    }
+    latitude = p.y * PI;
+    longitude = p.x * PI;
+    return abs(p.x) <= 1.0 && abs(p.y) <= 0.5;
+}
+
+void main() {
+    float latitude, longitude;
+    bool onMap = unproject(vPosition, latitude, longitude);
+    vec2 uv = vec2(longitude / (2.0 * PI) + 0.5, clamp(latitude / PI + 0.5, 0.0, 1.0));
+    // Longitude wraps around in the polar views, take the short way for the texture gradients
+    vec2 uvDx = dFdx(uv);
+    vec2 uvDy = dFdy(uv);
+    uvDx.x -= round(uvDx.x);
+    uvDy.x -= round(uvDy.x);
+    if (!onMap) discard;
+
+    // Same frame as latLonToVector() in geo.js
+    vec3 normal = vec3(cos(latitude) * cos(longitude), sin(latitude), -cos(latitude) * sin(longitude));
+    gl_FragColor = vec4(shadeSurface(uv, uvDx, uvDy, dot(normal, sunDirection)), 1.0);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
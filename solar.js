@@ -0,0 +1,230 @@
+/* ========================================================================== */
+/*                               Solar Ephemeris                              */
+/* ========================================================================== */
+// Low precision solar position after the NOAA solar calculator
+// (Meeus, Astronomical Algorithms, ch. 25), good to ~0.01 deg for 1800-2200
+
+const PI = Math.PI;
+const DegToRad = PI / 180;
+export const MsPerDay = 1000 * 60 * 60 * 24;
+const UnixEpochJD = 2440587.5; // Julian date of 1970-01-01T00:00:00Z
+const J2000 = 2451545; // Julian date of 2000-01-01T12:00:00Z
+
+function normalizeDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+// Wrap an angle in radians into [-PI, PI)
+export function wrapRadians(rad) {
+    return rad - 2 * PI * Math.floor((rad + PI) / (2 * PI));
+}
+
+export function toJulianDate(time) {
+    return time.getTime() / MsPerDay + UnixEpochJD;
+}
+
+// Julian centuries since J2000.0
+export function toJulianCentury(time) {
+    return (toJulianDate(time) - J2000) / 36525;
+}
+
+// All angles are returned in radians, distance in AU
+export function getSunPosition(time) {
+    const T = toJulianCentury(time);
+
+    // Geometric mean longitude and mean anomaly of the sun
+    const meanLongitude = normalizeDegrees(280.46646 + T * (36000.76983 + T * 0.0003032));
+    const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+    const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+    // Equation of center
+    const M = meanAnomaly * DegToRad;
+    const center = Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T))
+        + Math.sin(2 * M) * (0.019993 - 0.000101 * T)
+        + Math.sin(3 * M) * 0.000289;
+    const trueLongitude = meanLongitude + center;
+    const trueAnomaly = (meanAnomaly + center) * DegToRad;
+    const distance = 1.000001018 * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(trueAnomaly));
+
+    // Apparent longitude, corrected for nutation and aberration
+    const omega = (125.04 - 1934.136 * T) * DegToRad;
+    const eclipticLongitude = normalizeDegrees(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega)) * DegToRad;
+
+    // Obliquity of the ecliptic
+    const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+    const obliquity = (meanObliquity + 0.00256 * Math.cos(omega)) * DegToRad;
+
+    const rightAscension = Math.atan2(
+        Math.cos(obliquity) * Math.sin(eclipticLongitude),
+        Math.cos(eclipticLongitude)
+    );
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+    return {
+        eclipticLongitude,
+        obliquity,
+        rightAscension,
+        declination,
+        distance,
+    };
+}
+
+// Greenwich mean sidereal time in radians
+export function getSiderealTime(time) {
+    const days = toJulianDate(time) - J2000;
+    const T = days / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * days + T * T * (0.000387933 - T / 38710000);
+    return normalizeDegrees(gmst) * DegToRad;
+}
+
+// Geographic point where the sun is at the zenith, in radians (east positive)
+export function getSubsolarPoint(time, sun = getSunPosition(time)) {
+    return {
+        latitude: sun.declination,
+        longitude: wrapRadians(sun.rightAscension - getSiderealTime(time)),
+    };
+}
+
+/* ========================================================================== */
+/*                               Local Sun Data                               */
+/* ========================================================================== */
+
+// Sun elevation of sunrise and sunset, allowing for refraction and the solar radius
+export const HorizonElevation = -0.833 * DegToRad;
+
+// Lower edges of the daylight phases, sun elevation in radians
+const DaylightPhases = [
+    { phase: 'day', elevation: HorizonElevation },
+    { phase: 'civil', elevation: -6 * DegToRad },
+    { phase: 'nautical', elevation: -12 * DegToRad },
+    { phase: 'astronomical', elevation: -18 * DegToRad },
+];
+
+// Geometric elevation above the horizon and azimuth clockwise from north, in
+// radians, for a latitude and longitude in radians
+export function getSunHorizontal(time, latitude, longitude) {
+    const subsolarPoint = getSubsolarPoint(time);
+    const declination = subsolarPoint.latitude;
+    const hourAngle = longitude - subsolarPoint.longitude; // Positive in the afternoon
+    const elevation = Math.asin(
+        Math.sin(latitude) * Math.sin(declination)
+        + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+    );
+    const azimuth = Math.atan2(
+        -Math.cos(declination) * Math.sin(hourAngle),
+        Math.sin(declination) * Math.cos(latitude) - Math.cos(declination) * Math.cos(hourAngle) * Math.sin(latitude)
+    );
+    return { elevation, azimuth: (azimuth + 2 * PI) % (2 * PI) };
+}
+
+// Apparent (sundial) solar time at a longitude, in hours from 0 to 24
+export function getApparentSolarTime(time, longitude) {
+    const hourAngle = wrapRadians(longitude - getSubsolarPoint(time).longitude);
+    return 12 + hourAngle / PI * 12;
+}
+
+// One of 'day', 'civil', 'nautical', 'astronomical' (twilight) or 'night'
+export function getDaylightPhase(elevation) {
+    const match = DaylightPhases.find(({ elevation: lower }) => elevation >= lower);
+    return match ? match.phase : 'night';
+}
+
+// Next time the sun crosses the sunrise/sunset elevation within `withinDays`,
+// as { type: 'sunrise' | 'sunset', time }, or null during polar day or night
+export function getNextSunEvent(time, latitude, longitude, withinDays = 2) {
+    const step = 10 * 60 * 1000; // Coarse scan, finer than the shortest day or night
+    const altitudeAt = ms => getSunHorizontal(new Date(ms), latitude, longitude).elevation - HorizonElevation;
+
+    let start = time.getTime();
+    let startAltitude = altitudeAt(start);
+    for (let end = start + step; end <= time.getTime() + withinDays * MsPerDay; end += step) {
+        const endAltitude = altitudeAt(end);
+        if ((startAltitude < 0) !== (endAltitude < 0)) {
+            // Bisect the crossing down to a second
+            let low = start, high = end;
+            while (high - low > 1000) {
+                const middle = (low + high) / 2;
+                if ((altitudeAt(middle) < 0) === (startAltitude < 0)) low = middle;
+                else high = middle;
+            }
+            return { type: startAltitude < 0 ? 'sunrise' : 'sunset', time: new Date(high) };
+        }
+        start = end;
+        startAltitude = endAltitude;
+    }
+    return null;
+}
+
+/* ========================================================================== */
+/*                            Sunrise & Sunset Times                          */
+/* ========================================================================== */
+
+// Sun elevation marking dawn and dusk of each twilight
+export const TwilightElevations = {
+    civil: -6 * DegToRad,
+    nautical: -12 * DegToRad,
+    astronomical: -18 * DegToRad,
+};
+
+// Time near `guess` when the hour angle at a longitude reaches `hourAngle`
+function findHourAngleTime(guess, longitude, getHourAngle) {
+    let ms = guess;
+    for (let i = 0; i < 5; i++) {
+        const time = new Date(ms);
+        const target = getHourAngle(time);
+        if (target === null) return null;
+        const current = wrapRadians(longitude - getSubsolarPoint(time).longitude);
+        const error = wrapRadians(target - current);
+        ms += error / (2 * PI) * MsPerDay;
+        if (Math.abs(error) < 1e-6) break;
+    }
+    return new Date(ms);
+}
+
+// Hour angle at which the sun reaches an elevation, or null if it never does that day
+function getHourAngleAt(time, latitude, elevation) {
+    const declination = getSunPosition(time).declination;
+    const cosHourAngle = (Math.sin(elevation) - Math.sin(latitude) * Math.sin(declination))
+        / (Math.cos(latitude) * Math.cos(declination));
+    return Math.abs(cosHourAngle) > 1 ? null : Math.acos(cosHourAngle);
+}
+
+// Times the sun rises to and sets from an elevation, null where it stays above or below
+function getCrossings(noon, latitude, longitude, elevation) {
+    const halfDay = getHourAngleAt(noon, latitude, elevation);
+    if (halfDay === null) return { rise: null, set: null };
+    const offset = halfDay / (2 * PI) * MsPerDay;
+    return {
+        rise: findHourAngleTime(noon.getTime() - offset, longitude, time => {
+            const hourAngle = getHourAngleAt(time, latitude, elevation);
+            return hourAngle === null ? null : -hourAngle;
+        }),
+        set: findHourAngleTime(noon.getTime() + offset, longitude, time => getHourAngleAt(time, latitude, elevation)),
+    };
+}
+
+// Sun times on the local solar day containing `time`, at a latitude and longitude
+// in radians. Sunrise and sunset allow for refraction; `polar` is 'day' or 'night'
+// when the sun does not cross the horizon at all.
+export function getSunTimes(time, latitude, longitude) {
+    // Local mean midnight before `time`
+    const longitudeOffset = longitude / (2 * PI) * MsPerDay;
+    const midnight = Math.floor((time.getTime() + longitudeOffset) / MsPerDay) * MsPerDay - longitudeOffset;
+
+    const solarNoon = findHourAngleTime(midnight + MsPerDay / 2, longitude, () => 0);
+    const noonElevation = getSunHorizontal(solarNoon, latitude, longitude).elevation;
+    const { rise: sunrise, set: sunset } = getCrossings(solarNoon, latitude, longitude, HorizonElevation);
+
+    let polar = null;
+    if (!sunrise || !sunset) polar = noonElevation > HorizonElevation ? 'day' : 'night';
+    const dayLength = polar ? (polar === 'day' ? MsPerDay : 0) : sunset - sunrise;
+
+    const dawn = {}, dusk = {};
+    Object.entries(TwilightElevations).forEach(([name, elevation]) => {
+        const { rise, set } = getCrossings(solarNoon, latitude, longitude, elevation);
+        dawn[name] = rise;
+        dusk[name] = set;
+    });
+
+    return { solarNoon, noonElevation, sunrise, sunset, dayLength, polar, dawn, dusk };
+}
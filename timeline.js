@@ -0,0 +1,88 @@
+import { getTime, setTime, onTick } from './clock.js';
+import { MsPerDay } from './solar.js';
+import { getYearEvents } from './events.js';
+import { getDisplayTimeZone, toDisplayTime, fromDisplayTime } from './timezone.js';
+import { formatDate, formatTime } from './format.js';
+
+export const EventLabels = {
+    'perihelion': '近日点',
+    'march-equinox': '春分',
+    'june-solstice': '夏至',
+    'aphelion': '远日点',
+    'september-equinox': '秋分',
+    'december-solstice': '冬至',
+};
+
+const daySlider = document.getElementById('timeline-day');
+const yearSlider = document.getElementById('timeline-year');
+const yearTicks = document.getElementById('timeline-ticks');
+
+let isScrubbing = false;
+let tickKey;
+
+// Calendar fields below are read in the display time zone
+function daysInYear(year) {
+    return Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / MsPerDay);
+}
+
+function dayOfYear(display) {
+    const midnight = Date.UTC(display.getUTCFullYear(), display.getUTCMonth(), display.getUTCDate());
+    return Math.round((midnight - Date.UTC(display.getUTCFullYear(), 0, 1)) / MsPerDay);
+}
+
+// Place a tick for every yearly event at its fraction of the year
+function updateTicks(year) {
+    const start = fromDisplayTime(year, 0, 1), end = fromDisplayTime(year + 1, 0, 1);
+    yearTicks.innerHTML = '';
+    getYearEvents(year).forEach(event => {
+        const tick = document.createElement('span');
+        tick.className = 'timeline-tick ' + event.type;
+        tick.style.setProperty('--position', (event.time - start) / (end - start));
+        tick.textContent = EventLabels[event.type];
+        tick.title = EventLabels[event.type] + ' ' + (event.approximate ? '约 ' : '')
+            + formatDate(event.time) + ' ' + formatTime(event.time);
+        tick.addEventListener('click', () => setTime(event.time));
+        yearTicks.appendChild(tick);
+    });
+    yearSlider.max = daysInYear(year) - 1;
+}
+
+// Keep the thumbs on the simulated time unless the user is dragging them
+function updateTimeline(time) {
+    const display = toDisplayTime(time);
+    const key = display.getUTCFullYear() + ' ' + getDisplayTimeZone();
+    if (tickKey !== key) {
+        updateTicks(display.getUTCFullYear());
+        tickKey = key;
+    }
+    if (!isScrubbing) {
+        daySlider.value = display.getUTCHours() * 60 + display.getUTCMinutes();
+        yearSlider.value = dayOfYear(display);
+    }
+}
+
+daySlider.addEventListener('input', () => {
+    const display = toDisplayTime(getTime());
+    const minutes = Number(daySlider.value);
+    setTime(fromDisplayTime(
+        display.getUTCFullYear(), display.getUTCMonth(), display.getUTCDate(), 0, minutes, display.getUTCSeconds()
+    ));
+});
+
+yearSlider.addEventListener('input', () => {
+    const display = toDisplayTime(getTime());
+    const day = Number(yearSlider.value);
+    setTime(fromDisplayTime(
+        display.getUTCFullYear(), 0, 1 + day, display.getUTCHours(), display.getUTCMinutes(), display.getUTCSeconds()
+    ));
+});
+
+// The pointer may be released anywhere once the thumb is grabbed
+[daySlider, yearSlider].forEach(slider => {
+    slider.addEventListener('pointerdown', () => isScrubbing = true);
+    slider.addEventListener('change', () => isScrubbing = false);
+});
+window.addEventListener('pointerup', () => isScrubbing = false);
+window.addEventListener('pointercancel', () => isScrubbing = false);
+
+onTick(updateTimeline);
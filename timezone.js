@@ -0,0 +1,83 @@
+import tzlookup from '@photostructure/tz-lookup';
+import { getSetting, setSetting } from './settings.js';
+
+/* ========================================================================== */
+/*                                 Time Zones                                 */
+/* ========================================================================== */
+// IANA time zone offsets through Intl.DateTimeFormat, daylight saving included
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false; // RangeError for unknown zones
+    }
+}
+
+// All zones the browser knows, for pickers
+export function getTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+}
+
+// Offset of a zone from UTC in minutes at a given time
+export function getTimeZoneOffset(time, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(time).forEach(({ type, value }) => parts[type] = Number(value));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(time.getTime() / 1000) * 1000) / (60 * 1000));
+}
+
+// IANA zone in force at a latitude and longitude in radians from the zone
+// boundaries, or null where the browser does not know it
+export function getLocationTimeZone(latitude, longitude) {
+    const timeZone = tzlookup(latitude * 180 / Math.PI, longitude * 180 / Math.PI);
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/* -------------------------------------------------------------------------- */
+// The zone the HUD shows times in: 'local' for the browser zone, or an IANA name
+
+export const LocalTimeZone = 'local';
+
+export function getDisplayTimeZone() {
+    const timeZone = getSetting('displayTimeZone', LocalTimeZone);
+    return timeZone === LocalTimeZone || isValidTimeZone(timeZone) ? timeZone : LocalTimeZone;
+}
+
+export function setDisplayTimeZone(timeZone) {
+    if (timeZone === LocalTimeZone || isValidTimeZone(timeZone)) setSetting('displayTimeZone', timeZone);
+}
+
+export function getDisplayOffset(time) {
+    const timeZone = getDisplayTimeZone();
+    return timeZone === LocalTimeZone ? -time.getTimezoneOffset() : getTimeZoneOffset(time, timeZone);
+}
+
+// A Date whose UTC fields read as the wall clock of the display zone
+export function toDisplayTime(time) {
+    return new Date(time.getTime() + getDisplayOffset(time) * 60 * 1000);
+}
+
+// The time at which the display zone wall clock shows the given fields,
+// which overflow like Date.UTC() arguments
+export function fromDisplayTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    const wallClock = Date.UTC(year, month, day, hours, minutes, seconds);
+    let ms = wallClock - getDisplayOffset(new Date(wallClock)) * 60 * 1000;
+    ms = wallClock - getDisplayOffset(new Date(ms)) * 60 * 1000; // Settle across offset changes
+    return new Date(ms);
+}
@@ -0,0 +1,55 @@
+import { getTime } from './clock.js';
+import { getSunHorizontal, getNextSunEvent } from './solar.js';
+import {
+    formatLatitude, formatLongitude, formatLatitudeDMS, formatLongitudeDMS, formatAngle, formatDuration,
+} from './format.js';
+
+/* ========================================================================== */
+/*                                Hover Tooltip                               */
+/* ========================================================================== */
+// Coordinates and sunlight under the pointer
+
+const Offset = 15; // Distance from the pointer in pixels
+
+const tooltip = document.getElementById('tooltip');
+
+function describeNextEvent(time, latitude, longitude, elevation) {
+    const event = getNextSunEvent(time, latitude, longitude);
+    if (!event) return elevation > 0 ? '极昼' : '极夜';
+    return formatDuration(event.time - time) + '后' + (event.type === 'sunrise' ? '日出' : '日落');
+}
+
+// Last content, keyed by the coordinates as shown and the simulated second
+let contentKey;
+let width = 0, height = 0;
+
+// Show the tooltip next to the pointer for a latitude and longitude in radians
+export function showTooltip(clientX, clientY, latitude, longitude) {
+    const time = getTime();
+    const coordinates = formatLatitudeDMS(latitude) + ' ' + formatLongitudeDMS(longitude);
+    const key = coordinates + ' ' + Math.floor(time.getTime() / 1000);
+    if (key !== contentKey || tooltip.hidden) {
+        if (key !== contentKey) {
+            const { elevation } = getSunHorizontal(time, latitude, longitude);
+            tooltip.innerHTML = formatLatitude(latitude) + ' ' + formatLongitude(longitude)
+                + '<br>' + coordinates
+                + '<br>太阳高度 ' + formatAngle(elevation)
+                + '<br>' + describeNextEvent(time, latitude, longitude, elevation);
+            contentKey = key;
+        }
+        // Measure only when the content changes or shows again
+        tooltip.hidden = false;
+        width = tooltip.offsetWidth;
+        height = tooltip.offsetHeight;
+    }
+
+    // Keep the tooltip inside the window
+    const flipX = clientX + Offset + width > window.innerWidth;
+    const flipY = clientY + Offset + height > window.innerHeight;
+    tooltip.style.left = (flipX ? clientX - Offset - width : clientX + Offset) + 'px';
+    tooltip.style.top = (flipY ? clientY - Offset - height : clientY + Offset) + 'px';
+}
+
+export function hideTooltip() {
+    tooltip.hidden = true;
+}
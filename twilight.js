@@ -0,0 +1,105 @@
+import { getSetting, setSetting, onSettingsReset } from './settings.js';
+import { HorizonElevation, TwilightElevations } from './solar.js';
+
+/* ========================================================================== */
+/*                               Twilight Bands                               */
+/* ========================================================================== */
+// Shaded bands by sun elevation below the horizon, each with its own toggle,
+// color and opacity in the layers panel. Edges are in degrees and match the
+// daylight phases of solar.js, so civil twilight starts at sunset.
+
+const toDegrees = radians => Number((radians * 180 / Math.PI).toFixed(3));
+
+const Civil = toDegrees(TwilightElevations.civil);
+const Nautical = toDegrees(TwilightElevations.nautical);
+const Astronomical = toDegrees(TwilightElevations.astronomical);
+
+export const TwilightBands = [
+    {
+        key: 'civilTwilight', label: '民用晨昏', lower: Civil, upper: toDegrees(HorizonElevation),
+        color: '#ff9e4a', opacity: 0.3,
+    },
+    {
+        key: 'nauticalTwilight', label: '航海晨昏', lower: Nautical, upper: Civil,
+        color: '#4a78c0', opacity: 0.3,
+    },
+    {
+        key: 'astronomicalTwilight', label: '天文晨昏', lower: Astronomical, upper: Nautical,
+        color: '#2a3a80', opacity: 0.3,
+    },
+];
+
+let bands = loadBands();
+let changeListener = () => { };
+const controls = new Map();
+
+function loadBands() {
+    return TwilightBands.map(band => ({
+        ...band,
+        ...getSetting(band.key, { enabled: true, color: band.color, opacity: band.opacity }),
+    }));
+}
+
+function saveBand(band) {
+    setSetting(band.key, { enabled: band.enabled, color: band.color, opacity: band.opacity });
+}
+
+function updateBand(key, changes) {
+    const band = bands.find(band => band.key === key);
+    if (!band) return;
+    Object.assign(band, changes);
+    saveBand(band);
+    updateControls();
+    changeListener(bands);
+}
+
+function updateControls() {
+    bands.forEach(band => {
+        const control = controls.get(band.key);
+        if (!control) return;
+        control.toggle.checked = band.enabled;
+        control.color.value = band.color;
+        control.opacity.value = band.opacity;
+    });
+}
+
+// Build one row of controls per band; onChange receives all bands on any edit
+export function initTwilightControls(container, onChange) {
+    changeListener = onChange;
+    TwilightBands.forEach(band => {
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+
+        const label = document.createElement('label');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        label.append(toggle, ` ${band.label} (${band.upper}° ~ ${band.lower}°)`);
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.title = '颜色';
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = 0;
+        opacity.max = 1;
+        opacity.step = 0.05;
+        opacity.title = '不透明度';
+
+        toggle.addEventListener('change', () => updateBand(band.key, { enabled: toggle.checked }));
+        color.addEventListener('input', () => updateBand(band.key, { color: color.value }));
+        opacity.addEventListener('input', () => updateBand(band.key, { opacity: Number(opacity.value) }));
+
+        row.append(label, color, opacity);
+        container.appendChild(row);
+        controls.set(band.key, { toggle, color, opacity });
+    });
+    updateControls();
+    changeListener(bands);
+}
+
+onSettingsReset(() => {
+    bands = loadBands();
+    updateControls();
+    changeListener(bands);
+});
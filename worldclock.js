@@ -0,0 +1,48 @@
+import { onTick } from './clock.js';
+import { getPins, getPinOffset, getPinPhaseIcon, onPinsChange } from './pins.js';
+import { formatClockTime, formatUTCOffset } from './format.js';
+
+/* ========================================================================== */
+/*                                 World Clock                                */
+/* ========================================================================== */
+// Local time, UTC offset and daylight of every pinned location
+
+const panel = document.getElementById('world-clock');
+const table = document.getElementById('world-clock-rows');
+
+let rows = [];
+let lastSecond;
+
+function rebuildRows() {
+    table.innerHTML = '';
+    rows = getPins().map(pin => {
+        const row = table.insertRow();
+        const cells = ['icon', 'name', 'time', 'zone', 'offset'].map(name => {
+            const cell = row.insertCell();
+            cell.className = 'world-clock-' + name;
+            return cell;
+        });
+        cells[1].textContent = pin.name;
+        cells[3].textContent = pin.timeZone || '区时';
+        return { pin, cells };
+    });
+    lastSecond = undefined;
+}
+
+function updateWorldClock(time) {
+    const second = Math.floor(time.getTime() / 1000);
+    if (panel.open && second !== lastSecond) {
+        rows.forEach(({ pin, cells }) => {
+            const offset = getPinOffset(pin, time);
+            cells[0].textContent = getPinPhaseIcon(pin, time);
+            cells[2].textContent = formatClockTime(time, offset);
+            cells[4].textContent = formatUTCOffset(offset);
+        });
+        lastSecond = second;
+    }
+}
+
+onPinsChange(rebuildRows);
+panel.addEventListener('toggle', () => lastSecond = undefined);
+rebuildRows();
+onTick(updateWorldClock);